@@ -0,0 +1,187 @@
+/**
+ * Synthetic Scene - Renders a textured floor for the tracking benchmark
+ * Ray-casts every pixel of a pinhole camera onto the y = 0 plane of a Y-up
+ * world and samples a seeded procedural texture, so the true camera pose
+ * of every frame is known exactly
+ */
+
+import { mat3MultiplyVec } from '../src/ar/PoseMath.js';
+
+const TEXTURE_SIZE = 2048;
+const FOG_COLOR = 150;
+
+/**
+ * Small seeded PRNG (mulberry32) so runs are repeatable
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Tileable grayscale texture: smooth value noise for low-frequency shading
+ * plus scattered rectangles and discs that give the detectors sharp corners
+ */
+function createTexture(random) {
+    const size = TEXTURE_SIZE;
+    const pixels = new Float32Array(size * size);
+
+    for (const cells of [8, 32, 128]) {
+        const grid = Array.from({ length: cells * cells }, () => random() - 0.5);
+        const cellSize = size / cells;
+        const amplitude = 160 / Math.sqrt(cells);
+
+        for (let y = 0; y < size; y++) {
+            const gy = y / cellSize;
+            const y0 = Math.floor(gy);
+            const fy = gy - y0;
+            const sy = fy * fy * (3 - 2 * fy);
+
+            for (let x = 0; x < size; x++) {
+                const gx = x / cellSize;
+                const x0 = Math.floor(gx);
+                const fx = gx - x0;
+                const sx = fx * fx * (3 - 2 * fx);
+
+                const a = grid[(y0 % cells) * cells + (x0 % cells)];
+                const b = grid[(y0 % cells) * cells + ((x0 + 1) % cells)];
+                const c = grid[((y0 + 1) % cells) * cells + (x0 % cells)];
+                const d = grid[((y0 + 1) % cells) * cells + ((x0 + 1) % cells)];
+
+                pixels[y * size + x] += amplitude * (a + (b - a) * sx + (c - a + (a - b - c + d) * sx) * sy);
+            }
+        }
+    }
+
+    for (let i = 0; i < 6000; i++) {
+        const shade = (random() - 0.5) * 180;
+        const cx = random() * size;
+        const cy = random() * size;
+        const radius = 3 + random() * random() * 40;
+        const isDisc = random() < 0.3;
+
+        for (let y = Math.floor(cy - radius); y <= cy + radius; y++) {
+            for (let x = Math.floor(cx - radius); x <= cx + radius; x++) {
+                if (isDisc && (x - cx) ** 2 + (y - cy) ** 2 > radius * radius) continue;
+
+                const index = ((y + size) % size) * size + ((x + size) % size);
+                pixels[index] = pixels[index] * 0.3 + shade;
+            }
+        }
+    }
+
+    const texture = new Uint8ClampedArray(size * size);
+    for (let i = 0; i < pixels.length; i++) {
+        texture[i] = 128 + pixels[i];
+    }
+    return texture;
+}
+
+export class SyntheticScene {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.width] - Frame width in pixels
+     * @param {number} [options.height] - Frame height in pixels
+     * @param {number} [options.focalLength] - In pixels; defaults to the width like the engines' guess
+     * @param {number} [options.textureExtent] - Floor meters covered by one texture tile
+     * @param {number} [options.noise] - Per-pixel sensor noise amplitude (gray levels)
+     * @param {number} [options.seed]
+     */
+    constructor(options = {}) {
+        this.width = options.width ?? 640;
+        this.height = options.height ?? 480;
+        this.focalLength = options.focalLength ?? this.width;
+        this.textureExtent = options.textureExtent ?? 6;
+        this.noise = options.noise ?? 4;
+        this.fogDistance = 12;
+
+        this.random = createRandom(options.seed ?? 1);
+        this.texture = createTexture(this.random);
+        this.pixels = new Uint8ClampedArray(this.width * this.height * 4);
+    }
+
+    /**
+     * Camera intrinsics in the shape of a saved calibration, so the engines
+     * can use the exact values instead of their guess
+     */
+    get calibration() {
+        return {
+            width: this.width,
+            height: this.height,
+            fx: this.focalLength,
+            fy: this.focalLength,
+            cx: this.width / 2,
+            cy: this.height / 2,
+            distCoeffs: [0, 0, 0, 0, 0],
+            rms: 0
+        };
+    }
+
+    /**
+     * @param {{position: number[], rotation: number[]}} pose - Camera-to-world, Three.js camera convention
+     * @returns {{data: Uint8ClampedArray, width: number, height: number}} RGBA frame, ImageData-like
+     */
+    render(pose) {
+        const { width, height, focalLength, texture, pixels } = this;
+        const [px, py, pz] = pose.position;
+        const texelsPerMeter = TEXTURE_SIZE / this.textureExtent;
+        const mask = TEXTURE_SIZE - 1;
+
+        // Ray of pixel (u, v) = origin + u * stepX + v * stepY in world coordinates
+        // (image y down / looking forward is -y / -z in the Three.js camera)
+        const origin = mat3MultiplyVec(pose.rotation, [-width / 2 / focalLength, height / 2 / focalLength, -1]);
+        const stepX = mat3MultiplyVec(pose.rotation, [1 / focalLength, 0, 0]);
+        const stepY = mat3MultiplyVec(pose.rotation, [0, -1 / focalLength, 0]);
+
+        let index = 0;
+        for (let v = 0; v < height; v++) {
+            for (let u = 0; u < width; u++) {
+                const dx = origin[0] + u * stepX[0] + v * stepY[0];
+                const dy = origin[1] + u * stepX[1] + v * stepY[1];
+                const dz = origin[2] + u * stepX[2] + v * stepY[2];
+
+                let value = FOG_COLOR;
+
+                if (dy < 0) {
+                    const s = -py / dy;
+                    const distance = s * Math.hypot(dx, dy, dz);
+
+                    // Bilinear texture lookup on the tiled floor
+                    const tx = (px + s * dx) * texelsPerMeter;
+                    const ty = (pz + s * dz) * texelsPerMeter;
+                    const x0 = Math.floor(tx);
+                    const y0 = Math.floor(ty);
+                    const fx = tx - x0;
+                    const fy = ty - y0;
+                    const row0 = (y0 & mask) * TEXTURE_SIZE;
+                    const row1 = ((y0 + 1) & mask) * TEXTURE_SIZE;
+                    const a = texture[row0 + (x0 & mask)];
+                    const b = texture[row0 + ((x0 + 1) & mask)];
+                    const c = texture[row1 + (x0 & mask)];
+                    const d = texture[row1 + ((x0 + 1) & mask)];
+                    const sample = (a + (b - a) * fx) * (1 - fy) + (c + (d - c) * fx) * fy;
+
+                    const fog = 1 - Math.exp(-distance / this.fogDistance);
+                    value = sample + (FOG_COLOR - sample) * fog;
+                }
+
+                value += (this.random() - 0.5) * 2 * this.noise;
+
+                pixels[index] = value;
+                pixels[index + 1] = value;
+                pixels[index + 2] = value;
+                pixels[index + 3] = 255;
+                index += 4;
+            }
+        }
+
+        return { data: pixels, width, height };
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * Benchmark Metrics - Scores one engine run against ground truth
+ * The engines start their world frame wherever tracking begins, so poses are
+ * compared relative to the first tracked frame: the trajectory from there on
+ * is expressed in that frame's camera coordinates for both the estimate and
+ * the ground truth.
+ */
+
+import { mat3Multiply, mat3MultiplyVec, mat3Transpose, quatToMatrix, subtract } from '../src/ar/PoseMath.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+function rotationAngle(a, b) {
+    const delta = mat3Multiply(mat3Transpose(a), b);
+    return Math.acos(Math.max(-1, Math.min(1, (delta[0] + delta[4] + delta[8] - 1) / 2)));
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Camera-to-world rotation of an engine pose, if it has one
+ */
+function poseRotation(pose) {
+    if (pose.rotationMatrix) return pose.rotationMatrix;
+    if (pose.quaternion) return quatToMatrix(pose.quaternion);
+    return null;
+}
+
+export class RunMetrics {
+    /**
+     * @param {number} fps - Frame rate of the run, for time to first track
+     */
+    constructor(fps) {
+        this.fps = fps;
+        this.frames = 0;
+        this.firstTrackFrame = null;
+        this.trackedFrames = 0;
+        this.lostFrames = 0;
+        this.reference = null;
+        this.positionErrors = [];
+        this.rotationErrors = [];
+        this.frameTimes = [];
+    }
+
+    /**
+     * @param {{position: number[], rotation: number[]}} truth - Ground-truth pose
+     * @param {Object} result - processFrame() result
+     * @param {number} ms - processFrame() duration
+     */
+    addFrame(truth, result, ms) {
+        const index = this.frames++;
+        this.frameTimes.push(ms);
+
+        if (!result.isTracking || !result.pose) {
+            if (this.firstTrackFrame !== null) this.lostFrames++;
+            return;
+        }
+
+        this.trackedFrames++;
+
+        const { x, y, z } = result.pose.position;
+        const estimate = { position: [x, y, z], rotation: poseRotation(result.pose) };
+
+        if (this.firstTrackFrame === null) {
+            this.firstTrackFrame = index;
+            this.reference = { estimate, truth };
+            return;
+        }
+
+        // Without a rotation there is no camera frame to compare in
+        const ref = this.reference;
+        if (!ref.estimate.rotation) return;
+
+        const relativeEstimate = mat3MultiplyVec(mat3Transpose(ref.estimate.rotation), subtract(estimate.position, ref.estimate.position));
+        const relativeTruth = mat3MultiplyVec(mat3Transpose(ref.truth.rotation), subtract(truth.position, ref.truth.position));
+        this.positionErrors.push(Math.hypot(...subtract(relativeEstimate, relativeTruth)));
+
+        if (estimate.rotation) {
+            const estimatedMotion = mat3Multiply(mat3Transpose(ref.estimate.rotation), estimate.rotation);
+            const trueMotion = mat3Multiply(mat3Transpose(ref.truth.rotation), truth.rotation);
+            this.rotationErrors.push(rotationAngle(estimatedMotion, trueMotion) * RAD_TO_DEG);
+        }
+    }
+
+    summary() {
+        const times = [...this.frameTimes].sort((a, b) => a - b);
+        const mean = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+        const framesAfterFirstTrack = this.firstTrackFrame === null ? 0 : this.frames - this.firstTrackFrame;
+
+        return {
+            frames: this.frames,
+            firstTrackFrame: this.firstTrackFrame,
+            timeToFirstTrack: this.firstTrackFrame === null ? null : this.firstTrackFrame / this.fps,
+            lossRate: framesAfterFirstTrack ? this.lostFrames / framesAfterFirstTrack : null,
+            positionRmse: this.positionErrors.length
+                ? Math.sqrt(mean(this.positionErrors.map(e => e * e)))
+                : null,
+            maxPositionError: this.positionErrors.length ? Math.max(...this.positionErrors) : null,
+            meanRotationError: mean(this.rotationErrors),
+            meanFrameMs: mean(times),
+            p95FrameMs: percentile(times, 0.95)
+        };
+    }
+}
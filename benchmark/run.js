@@ -0,0 +1,149 @@
+/**
+ * Tracking Benchmark - Runs the engines headless on synthetic scenes
+ * Renders a textured floor along known camera trajectories, feeds the frames
+ * and simulated IMU readings to each engine's processFrame() in Node and
+ * reports pose error, time to first track, loss rate and per-frame cost
+ *
+ * Usage: npm run benchmark -- [--engine orb|hybrid|lk] [--trajectory name] [--fps 30]
+ *                             [--scale 0.5] [--seconds n] [--json results.json] [--verbose]
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { performance } from 'node:perf_hooks';
+import { parseArgs } from 'node:util';
+import cvModule from '@techstark/opencv-js';
+
+import { createLocalEngine, ENGINE_TYPES } from '../src/ar/Engines.js';
+import { RunMetrics } from './metrics.js';
+import { SyntheticScene } from './SyntheticScene.js';
+import { deviceMotion, deviceOrientation, TRAJECTORIES } from './trajectories.js';
+
+const MOTION_SAMPLES_PER_FRAME = 2; // devicemotion runs at about 60 Hz
+
+async function loadOpenCV() {
+    // The engines use the global cv, as with the CDN build in the browser
+    globalThis.cv = cvModule;
+    if (!cv.Mat) {
+        await new Promise(resolve => {
+            cv.onRuntimeInitialized = resolve;
+        });
+    }
+}
+
+/**
+ * Run one engine along one trajectory
+ */
+async function runTrajectory(engineType, trajectory, scene, { fps, scale, seconds, verbose }) {
+    const metrics = new RunMetrics(fps);
+    const frameCount = Math.round(Math.min(seconds ?? trajectory.duration, trajectory.duration) * fps);
+
+    // Engine chatter would drown the report
+    const log = console.log;
+    if (!verbose) console.log = () => {};
+
+    const engine = createLocalEngine(engineType, { debugCanvas: null });
+    engine.calibration = scene.calibration;
+
+    try {
+        await engine.init();
+        engine.updateSettings({ processingScale: scale });
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const t = frame / fps;
+            const truth = trajectory.pose(t);
+
+            Object.assign(engine.imuData, deviceOrientation(truth.rotation));
+            for (let i = MOTION_SAMPLES_PER_FRAME - 1; i >= 0; i--) {
+                const dt = 1 / (fps * MOTION_SAMPLES_PER_FRAME);
+                engine.addMotionSample(deviceMotion(trajectory, t - i * dt, dt));
+            }
+
+            const image = scene.render(truth);
+
+            const start = performance.now();
+            const result = engine.processFrame(image);
+            metrics.addFrame(truth, result, performance.now() - start);
+        }
+    } finally {
+        console.log = log;
+        engine.dispose();
+    }
+
+    return metrics.summary();
+}
+
+function formatRow(row) {
+    const fixed = (value, digits) => value === null ? '-' : value.toFixed(digits);
+
+    return {
+        engine: row.engine,
+        trajectory: row.trajectory,
+        'first track (s)': fixed(row.timeToFirstTrack, 2),
+        'loss rate': row.lossRate === null ? '-' : `${(row.lossRate * 100).toFixed(1)}%`,
+        'pos RMSE (m)': fixed(row.positionRmse, 3),
+        'pos max (m)': fixed(row.maxPositionError, 3),
+        'rot mean (deg)': fixed(row.meanRotationError, 2),
+        'frame (ms)': fixed(row.meanFrameMs, 1),
+        'p95 (ms)': fixed(row.p95FrameMs, 1)
+    };
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            engine: { type: 'string', multiple: true },
+            trajectory: { type: 'string', multiple: true },
+            fps: { type: 'string', default: '30' },
+            scale: { type: 'string', default: '1' },
+            seconds: { type: 'string' },
+            seed: { type: 'string', default: '1' },
+            json: { type: 'string' },
+            verbose: { type: 'boolean', default: false }
+        }
+    });
+
+    const engineTypes = values.engine ?? Object.keys(ENGINE_TYPES);
+    const trajectoryNames = values.trajectory ?? Object.keys(TRAJECTORIES);
+
+    for (const name of engineTypes) {
+        if (!ENGINE_TYPES[name]) throw new Error(`Unknown engine: ${name} (expected ${Object.keys(ENGINE_TYPES).join(', ')})`);
+    }
+    for (const name of trajectoryNames) {
+        if (!TRAJECTORIES[name]) throw new Error(`Unknown trajectory: ${name} (expected ${Object.keys(TRAJECTORIES).join(', ')})`);
+    }
+
+    const options = {
+        fps: Number(values.fps),
+        scale: Number(values.scale),
+        seconds: values.seconds === undefined ? undefined : Number(values.seconds),
+        verbose: values.verbose
+    };
+
+    await loadOpenCV();
+    const scene = new SyntheticScene({ seed: Number(values.seed) });
+
+    const rows = [];
+    for (const engineType of engineTypes) {
+        for (const trajectoryName of trajectoryNames) {
+            console.log(`[Benchmark] ${engineType} / ${trajectoryName}: ${TRAJECTORIES[trajectoryName].description}`);
+
+            const summary = await runTrajectory(engineType, TRAJECTORIES[trajectoryName], scene, options);
+            rows.push({ engine: engineType, trajectory: trajectoryName, ...summary });
+        }
+    }
+
+    console.table(rows.map(formatRow));
+
+    if (values.json) {
+        await writeFile(values.json, JSON.stringify({ date: new Date().toISOString(), ...options, results: rows }, null, 2));
+        console.log(`[Benchmark] Results written to ${values.json}`);
+    }
+}
+
+main().then(
+    () => process.exit(0),
+    (error) => {
+        console.error('[Benchmark] Failed:', error);
+        process.exit(1);
+    }
+);
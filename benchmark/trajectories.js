@@ -0,0 +1,132 @@
+/**
+ * Benchmark Trajectories - Ground-truth camera motions over the synthetic floor
+ * Poses are camera-to-world in the Three.js camera convention (x right, y up,
+ * looking down -Z) in a Y-up world with the floor at y = 0, like the engines'
+ * tracking world. Also simulates the phone's deviceorientation and
+ * devicemotion readings along each trajectory.
+ */
+
+import { mat3Multiply, mat3MultiplyVec, mat3Transpose } from '../src/ar/PoseMath.js';
+
+const STANDARD_GRAVITY = 9.81;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Ry(yaw) * Rx(pitch) * Rz(roll); pitch < 0 tilts the camera towards the floor
+ */
+export function cameraRotation(yaw, pitch, roll = 0) {
+    const cy = Math.cos(yaw), sy = Math.sin(yaw);
+    const cp = Math.cos(pitch), sp = Math.sin(pitch);
+    const cr = Math.cos(roll), sr = Math.sin(roll);
+
+    const Ry = [cy, 0, sy, 0, 1, 0, -sy, 0, cy];
+    const Rx = [1, 0, 0, 0, cp, -sp, 0, sp, cp];
+    const Rz = [cr, -sr, 0, sr, cr, 0, 0, 0, 1];
+    return mat3Multiply(mat3Multiply(Ry, Rx), Rz);
+}
+
+export const TRAJECTORIES = {
+    slide: {
+        description: 'Slow sideways sweep, camera tilted at the floor',
+        duration: 6,
+        pose: (t) => ({
+            position: [0.4 * Math.sin(0.9 * t), 1.5, 0],
+            rotation: cameraRotation(0, -0.9)
+        })
+    },
+    orbit: {
+        description: 'Arc around a point on the floor 1.8 m ahead',
+        duration: 6,
+        pose: (t) => {
+            const angle = 0.4 * Math.sin(0.8 * t);
+            return {
+                position: [1.8 * Math.sin(angle), 1.5, -1.8 + 1.8 * Math.cos(angle)],
+                rotation: cameraRotation(angle, -Math.atan2(1.5, 1.8))
+            };
+        }
+    },
+    dolly: {
+        description: 'Walk forward while lowering and raising the phone',
+        duration: 6,
+        pose: (t) => ({
+            position: [0, 1.5 - 0.25 * Math.sin(0.9 * t), -0.6 * (1 - Math.cos(0.7 * t))],
+            rotation: cameraRotation(0, -0.8)
+        })
+    },
+    handheld: {
+        description: 'Phone held still with hand tremor',
+        duration: 5,
+        pose: (t) => ({
+            position: [
+                0.02 * Math.sin(2.3 * t) + 0.01 * Math.sin(5.1 * t),
+                1.5 + 0.015 * Math.sin(3.7 * t),
+                0.02 * Math.sin(1.9 * t)
+            ],
+            rotation: cameraRotation(
+                0.03 * Math.sin(2.9 * t),
+                -0.85 + 0.03 * Math.sin(3.3 * t),
+                0.02 * Math.sin(4.1 * t)
+            )
+        })
+    },
+    pan: {
+        description: 'Fast left-right pans from a fixed spot',
+        duration: 5,
+        pose: (t) => ({
+            position: [0, 1.5, 0],
+            rotation: cameraRotation(0.7 * Math.sin(1.6 * t), -0.75)
+        })
+    }
+};
+
+/**
+ * deviceorientation angles for a camera rotation. The device frame of a
+ * phone using its rear camera is the Three.js camera frame; the earth frame
+ * is east-north-up with world -Z as north.
+ */
+export function deviceOrientation(rotation) {
+    // World (x, y, z) -> earth (x, -z, y)
+    const toEarth = [1, 0, 0, 0, 0, -1, 0, 1, 0];
+    const R = mat3Multiply(toEarth, rotation);
+
+    // R = Rz(alpha) * Rx(beta) * Ry(gamma)
+    return {
+        alpha: (Math.atan2(-R[1], R[4]) * RAD_TO_DEG + 360) % 360,
+        beta: Math.asin(Math.max(-1, Math.min(1, R[7]))) * RAD_TO_DEG,
+        gamma: Math.atan2(-R[6], R[8]) * RAD_TO_DEG
+    };
+}
+
+/**
+ * devicemotion sample at time t, shaped like motionSample(event)
+ * @param {Object} trajectory - Entry of TRAJECTORIES
+ * @param {number} t - Seconds
+ * @param {number} dt - Seconds since the previous sample
+ */
+export function deviceMotion(trajectory, t, dt) {
+    const previous = trajectory.pose(Math.max(0, t - dt));
+    const current = trajectory.pose(t);
+
+    // Body rate from the relative rotation over the last interval
+    const delta = mat3Multiply(mat3Transpose(previous.rotation), current.rotation);
+    const angle = Math.acos(Math.max(-1, Math.min(1, (delta[0] + delta[4] + delta[8] - 1) / 2)));
+    let omega = [0, 0, 0];
+    if (angle > 1e-9 && dt > 0) {
+        const k = angle / (2 * Math.sin(angle) * dt);
+        omega = [(delta[7] - delta[5]) * k, (delta[2] - delta[6]) * k, (delta[3] - delta[1]) * k];
+    }
+
+    // Linear acceleration by central differences, plus the reaction to gravity
+    const h = 1 / 120;
+    const before = trajectory.pose(t - h).position;
+    const after = trajectory.pose(t + h).position;
+    const accel = [0, 1, 2].map(i => (after[i] - 2 * current.position[i] + before[i]) / (h * h));
+    accel[1] += STANDARD_GRAVITY;
+    const [x, y, z] = mat3MultiplyVec(mat3Transpose(current.rotation), accel);
+
+    return {
+        rotationRate: { alpha: omega[2] * RAD_TO_DEG, beta: omega[0] * RAD_TO_DEG, gamma: omega[1] * RAD_TO_DEG },
+        acceleration: { x, y, z },
+        timestamp: t * 1000
+    };
+}
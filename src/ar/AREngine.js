@@ -3,28 +3,109 @@
  * Handles feature detection, tracking, plane detection, and pose estimation
  */
 
+import {
+    add,
+    convexHull,
+    decomposeHomography,
+    dot,
+    gravityFromOrientation,
+    mat3Invert,
+    mat3Multiply,
+    mat3MultiplyVec,
+    mat3Transpose,
+    matrixToEuler,
+    matrixToQuaternion,
+    normalize,
+    quatToMatrix,
+    scale,
+    scalePosition,
+    selectHomographySolution,
+    subtract,
+    toThreeCameraRotation,
+    worldFromCameraRotation
+} from './PoseMath.js';
+import { KeyframeMap } from './KeyframeMap.js';
+import { loadCalibration } from './CameraCalibration.js';
+import { MatScope, memoryStats } from './CvMemory.js';
+import { FrameReader, frameSize, matchWorkingSize, toWorkingGray } from './FrameReader.js';
+import { ImageTarget } from './ImageTarget.js';
+import { LightEstimator } from './LightEstimator.js';
+import { motionSample, OrientationFilter } from './OrientationFilter.js';
+import { Relocalizer } from './Relocalizer.js';
+import { TrackingStateMachine } from './TrackingState.js';
+
+function centroid(points) {
+    let sumX = 0, sumY = 0;
+    for (const p of points) {
+        sumX += p.x;
+        sumY += p.y;
+    }
+    return { x: sumX / points.length, y: sumY / points.length };
+}
+
+/**
+ * Ground of a new world frame: level (by gravity) at y = 0, until measured
+ */
+function levelGround() {
+    return { normal: [0, 1, 0], constant: 0, measured: false };
+}
+
 export class AREngine {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLCanvasElement|OffscreenCanvas|null} [options.debugCanvas] - Defaults to #debug-canvas, null for none
+     */
+    constructor(options = {}) {
         // OpenCV matrices
         this.frame = null;
-        this.grayFrame = null;
+        this.grayFrame = null; // At the working resolution (settings.processingScale)
         this.prevGrayFrame = null;
+        this.fullGrayFrame = null; // Camera resolution, before downsampling
+        this.workingScale = 1; // Working / camera pixels of the current frame
+        this.mats = new MatScope(); // Owns every long-lived OpenCV object, deleted in dispose()
         
         // Feature detection
         this.orb = null;
         this.keypoints = null;
         this.descriptors = null;
-        this.prevKeypoints = null;
         this.prevDescriptors = null;
+        this.points = []; // Keypoint positions, one per descriptor row
+        this.prevPoints = [];
         
         // Tracking
         this.isTracking = false;
+        this.trackingState = new TrackingStateMachine();
         this.trackedPoints = [];
         this.currentPose = null;
         
         // Plane detection
         this.detectedPlanes = [];
         this.groundPlane = null;
+        this.nextPlaneId = 1;
+        this.planeWindow = null; // Reference frame the planes are segmented against
+        this.prevGravity = null;
+        
+        // Real ground in world coordinates, normal · X + constant = 0 with the
+        // normal pointing up; refined from the ground homography (see updateGround)
+        this.ground = levelGround();
+        this.measuredHeight = null; // Camera height above it, kept for the next world frame
+        
+        // Pose anchor: reference frame the chained homography is measured from
+        this.anchor = null;
+        
+        // Keyframe map of triangulated landmarks
+        this.map = new KeyframeMap();
+        
+        // Relocalization after tracking loss
+        this.relocalizer = new Relocalizer();
+        this.isRelocalizing = false;
+        this.relocalizeTimeout = 0;
+        this.lostFrames = 0;
+        
+        // Optional printed image that defines the world frame
+        this.imageTarget = new ImageTarget();
+        this.targetVisible = false;
+        this.targetCorners = null;
         
         // IMU data for sensor fusion
         this.imuData = {
@@ -33,12 +114,23 @@ export class AREngine {
             gamma: 0  // Y-axis rotation
         };
         
+        // Gyro + accelerometer + visual orientation fusion
+        this.orientationFilter = new OrientationFilter();
+        
         // Camera calibration (approximate for mobile)
         this.cameraMatrix = null;
         this.distCoeffs = null;
+        this.calibration = null; // Injected when localStorage is unavailable (worker)
+        
+        // Reads pixels from video, ImageBitmap or ImageData
+        this.frameReader = new FrameReader();
+        
+        // Scene lighting for the renderer, from the same frames
+        this.lightEstimator = new LightEstimator();
         
         // Settings
         this.settings = {
+            processingScale: 1, // Working / camera resolution, lowered by FrameScheduler on slow devices
             maxFeatures: 500,
             qualityLevel: 0.01,
             minDistance: 10,
@@ -46,27 +138,46 @@ export class AREngine {
             useHarrisDetector: false,
             k: 0.04,
             ransacThreshold: 3.0,
-            minInliers: 10
+            minInliers: 10,
+            maxPlanes: 4,
+            planeTiltTolerance: 20, // Degrees from level / plumb still counted as floor / wall
+            minPlaneParallax: 0.05, // Camera travel (fraction of plane distance) before classifying
+            minPlaneVotes: 3,
+            minPlaneWindow: 8, // Frames of baseline before segmenting planes
+            maxPlaneWindow: 45,
+            cameraHeight: 1.5, // Phone height above the ground a new world frame starts at; assumed until measured or setWorldScale()
+            maxGroundSlope: 15, // Degrees from level the ground may tilt
+            minGroundParallax: 0.15, // Camera travel (fraction of the ground distance) to measure the ground from
+            levelTolerance: 3, // Measured tilts below this (degrees) are taken as level ground
+            groundSmoothing: 0.1, // Weight of each new ground measurement
+            lostAfterFrames: 10, // Failed frames before switching to relocalization
+            resetRelocalizeFrames: 30 // How long reset() looks for the old world frame
         };
         
         // Debug canvas
-        this.debugCanvas = document.getElementById('debug-canvas');
+        this.debugCanvas = options.debugCanvas !== undefined
+            ? options.debugCanvas
+            : document.getElementById('debug-canvas');
         this.debugCtx = this.debugCanvas?.getContext('2d');
         this.showDebug = false;
     }
 
     async init() {
         // Initialize OpenCV matrices
-        this.keypoints = new cv.KeyPointVector();
-        this.descriptors = new cv.Mat();
-        this.prevKeypoints = new cv.KeyPointVector();
-        this.prevDescriptors = new cv.Mat();
+        this.keypoints = this.mats.track(new cv.KeyPointVector());
+        this.descriptors = this.mats.mat();
+        this.prevDescriptors = this.mats.mat();
+        this.noMask = this.mats.mat(); // Detect over the whole frame
         
         // Create ORB detector
-        this.orb = new cv.ORB(this.settings.maxFeatures);
+        this.orb = this.mats.track(new cv.ORB(this.settings.maxFeatures));
         
         // Create BFMatcher for descriptor matching
-        this.matcher = new cv.BFMatcher(cv.NORM_HAMMING, true);
+        this.matcher = this.mats.track(new cv.BFMatcher(cv.NORM_HAMMING, true));
+        
+        this.map.init();
+        this.relocalizer.init();
+        this.imageTarget.init();
         
         // Initialize camera matrix (will be updated based on video dimensions)
         this.initCameraMatrix(1280, 720);
@@ -78,6 +189,25 @@ export class AREngine {
     }
 
     initCameraMatrix(width, height) {
+        this.mats.free(this.cameraMatrix);
+        this.mats.free(this.distCoeffs);
+        
+        // Prefer intrinsics calibrated on this device
+        const injected = this.calibration?.width === width && this.calibration?.height === height;
+        const saved = injected ? this.calibration : loadCalibration(width, height);
+        
+        if (saved) {
+            console.log(`[AREngine] Using saved calibration for ${width}x${height} (RMS ${saved.rms.toFixed(2)}px)`);
+            
+            this.cameraMatrix = this.mats.fromArray(3, 3, cv.CV_64F, [
+                saved.fx, 0, saved.cx,
+                0, saved.fy, saved.cy,
+                0, 0, 1
+            ]);
+            this.distCoeffs = this.mats.fromArray(5, 1, cv.CV_64F, saved.distCoeffs);
+            return;
+        }
+        
         // Approximate camera intrinsics
         // Focal length ~= width for typical smartphone cameras
         const fx = width;
@@ -85,92 +215,242 @@ export class AREngine {
         const cx = width / 2;
         const cy = height / 2;
         
-        this.cameraMatrix = cv.matFromArray(3, 3, cv.CV_64F, [
+        this.cameraMatrix = this.mats.fromArray(3, 3, cv.CV_64F, [
             fx, 0, cx,
             0, fy, cy,
             0, 0, 1
         ]);
         
         // Assume no distortion for simplicity
-        this.distCoeffs = cv.matFromArray(5, 1, cv.CV_64F, [0, 0, 0, 0, 0]);
+        this.distCoeffs = this.mats.fromArray(5, 1, cv.CV_64F, [0, 0, 0, 0, 0]);
+    }
+
+    setCalibration(calibration) {
+        this.calibration = calibration;
+        this.reloadCalibration();
+    }
+
+    reloadCalibration() {
+        if (!this.frame) return;
+        
+        this.initCameraMatrix(this.frame.cols, this.frame.rows);
+        
+        // Landmarks and snapshots were measured with the old intrinsics
+        this.map.clear();
+        this.relocalizer.clear();
+    }
+
+    getIntrinsics() {
+        return {
+            fx: this.cameraMatrix.doubleAt(0, 0),
+            fy: this.cameraMatrix.doubleAt(1, 1),
+            cx: this.cameraMatrix.doubleAt(0, 2),
+            cy: this.cameraMatrix.doubleAt(1, 2),
+            width: this.frame ? this.frame.cols : this.cameraMatrix.doubleAt(0, 2) * 2,
+            height: this.frame ? this.frame.rows : this.cameraMatrix.doubleAt(1, 2) * 2
+        };
     }
 
     setupIMU() {
+        // In a worker the IMU readings are forwarded by the main thread
+        if (typeof window === 'undefined') return;
+        
+        this.onDeviceOrientation = (event) => {
+            this.imuData.alpha = event.alpha || 0;
+            this.imuData.beta = event.beta || 0;
+            this.imuData.gamma = event.gamma || 0;
+        };
+        this.onDeviceMotion = (event) => {
+            this.addMotionSample(motionSample(event));
+        };
+        
         if (window.DeviceOrientationEvent) {
-            window.addEventListener('deviceorientation', (event) => {
-                this.imuData.alpha = event.alpha || 0;
-                this.imuData.beta = event.beta || 0;
-                this.imuData.gamma = event.gamma || 0;
-            });
+            window.addEventListener('deviceorientation', this.onDeviceOrientation);
+        }
+        
+        if (window.DeviceMotionEvent) {
+            window.addEventListener('devicemotion', this.onDeviceMotion);
         }
     }
 
-    processFrame(video) {
+    /**
+     * @param {Object} sample - From motionSample(); live, forwarded or replayed
+     */
+    addMotionSample(sample) {
+        this.orientationFilter.addSample(sample);
+    }
+
+    /**
+     * Gravity direction (down) in the camera frame, fused when motion data is available
+     */
+    getGravity() {
+        return this.orientationFilter.isReady
+            ? this.orientationFilter.gravity
+            : gravityFromOrientation(this.imuData.beta, this.imuData.gamma);
+    }
+
+    /**
+     * @param {HTMLVideoElement|ImageBitmap|ImageData} source - Camera frame
+     */
+    processFrame(source) {
         const result = {
             isTracking: false,
             hasFeatures: false,
             featureCount: 0,
             planeCount: 0,
+            planes: [],
             pose: null,
             imu: this.imuData
         };
 
         try {
             // Capture frame from video
-            if (!this.frame) {
-                this.frame = new cv.Mat(video.videoHeight, video.videoWidth, cv.CV_8UC4);
-                this.grayFrame = new cv.Mat();
-                this.prevGrayFrame = new cv.Mat();
+            const { width, height } = frameSize(source);
+            
+            if (!this.frame || this.frame.cols !== width || this.frame.rows !== height) {
+                // Turning the phone swaps the stream's width and height; nothing
+                // measured in pixels of the old frame fits the new one
+                if (this.frame) {
+                    console.log(`[AREngine] Frame size changed to ${width}x${height}, restarting tracking`);
+                    this.mats.free(this.frame);
+                    this.relocalizer.clear();
+                    this.reset();
+                    this.prevPoints = [];
+                } else {
+                    this.grayFrame = this.mats.mat();
+                    this.prevGrayFrame = this.mats.mat();
+                    this.fullGrayFrame = this.mats.mat();
+                }
+                this.frame = this.mats.mat(height, width, cv.CV_8UC4);
                 
                 // Update debug canvas size
                 if (this.debugCanvas) {
-                    this.debugCanvas.width = video.videoWidth;
-                    this.debugCanvas.height = video.videoHeight;
+                    this.debugCanvas.width = width;
+                    this.debugCanvas.height = height;
                 }
                 
                 // Update camera matrix
-                this.initCameraMatrix(video.videoWidth, video.videoHeight);
+                this.initCameraMatrix(width, height);
             }
             
-            // Read frame from video
-            const cap = new cv.VideoCapture(video);
-            cap.read(this.frame);
+            // Read frame pixels
+            this.frame.data.set(this.frameReader.read(source).data);
+            result.lighting = this.lightEstimator.update(this.frame);
             
-            // Convert to grayscale
-            cv.cvtColor(this.frame, this.grayFrame, cv.COLOR_RGBA2GRAY);
+            // Convert to grayscale at the working resolution
+            this.workingScale = toWorkingGray(this.frame, this.grayFrame, this.settings.processingScale, this.fullGrayFrame);
+            matchWorkingSize(this.prevGrayFrame, this.grayFrame);
+            result.workingSize = { width: this.grayFrame.cols, height: this.grayFrame.rows };
             
             // Detect features
             this.detectFeatures();
-            result.featureCount = this.keypoints.size();
+            result.featureCount = this.points.length;
             result.hasFeatures = result.featureCount > 20;
             
             // Track features if we have previous frame
-            if (this.prevGrayFrame.rows > 0 && this.prevKeypoints.size() > 0) {
+            let planeDetected = false;
+            if (this.prevGrayFrame.rows > 0 && this.prevPoints.length > 0) {
                 const trackingSuccess = this.trackFeatures();
                 
                 if (trackingSuccess) {
                     // Detect planes from tracked points
-                    const planeDetected = this.detectPlane();
+                    planeDetected = this.detectPlane();
                     result.planeCount = this.detectedPlanes.length;
-                    
-                    if (planeDetected) {
-                        // Estimate pose
-                        const poseEstimated = this.estimatePose();
-                        result.isTracking = poseEstimated;
-                        result.pose = this.currentPose;
-                    }
+                } else {
+                    // Planes are matched to the next frame through this frame's keypoints
+                    this.detectedPlanes = [];
+                    this.groundPlane = null;
+                    this.planeWindow = null;
+                }
+            }
+            
+            const points = this.points;
+            const target = this.imageTarget;
+            const wasTargetVisible = this.targetVisible;
+            
+            // Frames without descriptors (hybrid between keyframes) can't look for the target
+            const lookForTarget = target.hasTarget && this.descriptors.rows > 0;
+            this.targetCorners = null;
+            if (lookForTarget) {
+                this.targetVisible = this.trackImageTarget(points);
+            }
+            
+            if (lookForTarget && this.targetVisible) {
+                // The printout defines the world frame: seeing it overrides drift and relocalization
+                result.isTracking = true;
+                result.relocalized = !wasTargetVisible;
+                this.isRelocalizing = false;
+                this.anchor = null;
+            } else if (this.isRelocalizing) {
+                // Only accept poses that tie back into the previous world frame
+                if (this.trackMap(points)) {
+                    this.anchor = null;
+                    result.isTracking = true;
+                } else {
+                    result.isTracking = this.relocalize(points);
+                }
+                
+                if (result.isTracking) {
+                    console.log('[AREngine] Relocalized');
+                    this.isRelocalizing = false;
+                    result.relocalized = true;
+                } else if (this.relocalizeTimeout > 0 && --this.relocalizeTimeout === 0) {
+                    // Old world frame not found again - start a new one
+                    this.isRelocalizing = false;
+                    this.relocalizer.clear();
                 }
+            } else if (this.trackMap(points)) {
+                // Localize against the keyframe map first, fall back to the plane homography
+                result.isTracking = true;
+                
+                // If the map is lost, the homography chain restarts from this pose
+                this.anchor = null;
+            } else if (planeDetected && (this.currentPose || !target.hasTarget)) {
+                // With an image target the world frame only starts once the target was seen
+                result.isTracking = this.estimatePose();
+            }
+
+            
+            if (result.isTracking) {
+                this.orientationFilter.correct(this.currentPose.quaternion, this.currentPose.confidence);
+                result.pose = this.fusePose(this.currentPose);
+                this.lostFrames = 0;
+                this.updateGround(result.pose);
+                result.ground = this.describeGround(result.pose);
+                if (this.ground.measured) {
+                    this.measuredHeight = result.ground.height;
+                }
+                this.updateMap(points);
+                this.relocalizer.maybeStore(points, this.descriptors, this.currentPose);
+            } else {
+                // Homography chain is broken - re-anchor from the last pose next time
+                this.anchor = null;
+                
+                // A longer loss would re-anchor from a stale pose, so relocalize instead
+                if (this.currentPose && !this.isRelocalizing &&
+                    ++this.lostFrames >= this.settings.lostAfterFrames) {
+                    this.startRelocalization(0);
+                }
+            }
+            
+            result.planes = this.describePlanes(result.pose);
+            result.isRelocalizing = this.isRelocalizing;
+            result.landmarkCount = this.map.landmarkCount;
+            result.keyframeCount = this.map.keyframeCount;
+            
+            if (target.hasTarget) {
+                result.imageTarget = {
+                    name: target.target.name,
+                    visible: this.targetVisible,
+                    corners: this.targetCorners
+                };
             }
             
             // Store current frame for next iteration
             this.grayFrame.copyTo(this.prevGrayFrame);
             
             // Swap keypoints and descriptors
-            const tempKp = this.prevKeypoints;
-            this.prevKeypoints = this.keypoints;
-            this.keypoints = tempKp;
-            this.keypoints.delete();
-            this.keypoints = new cv.KeyPointVector();
+            this.prevPoints = this.points;
             
             const tempDesc = this.prevDescriptors;
             this.prevDescriptors = this.descriptors;
@@ -186,27 +466,39 @@ export class AREngine {
         }
 
         this.isTracking = result.isTracking;
+        result.trackingState = this.trackingState.update(result, this.orientationFilter.angularSpeed);
+        result.memory = memoryStats();
         return result;
     }
 
     detectFeatures() {
         // Clear previous keypoints
-        this.keypoints.delete();
-        this.keypoints = new cv.KeyPointVector();
-        this.descriptors.delete();
-        this.descriptors = new cv.Mat();
+        this.mats.free(this.keypoints);
+        this.keypoints = this.mats.track(new cv.KeyPointVector());
+        this.mats.free(this.descriptors);
+        this.descriptors = this.mats.mat();
         
         // Detect ORB keypoints and compute descriptors
-        this.orb.detectAndCompute(this.grayFrame, new cv.Mat(), this.keypoints, this.descriptors);
+        this.orb.detectAndCompute(this.grayFrame, this.noMask, this.keypoints, this.descriptors);
+        
+        // Everything after detection works in camera pixels
+        const toCamera = 1 / this.workingScale;
+        
+        this.points = [];
+        for (let i = 0; i < this.keypoints.size(); i++) {
+            const kp = this.keypoints.get(i);
+            this.points.push({ x: kp.pt.x * toCamera, y: kp.pt.y * toCamera });
+        }
     }
 
     trackFeatures() {
-        if (this.prevKeypoints.size() === 0 || this.keypoints.size() === 0) {
+        if (this.prevPoints.length === 0 || this.points.length === 0) {
             return false;
         }
         
         // Match features using BFMatcher
-        const matches = new cv.DMatchVector();
+        const scope = new MatScope();
+        const matches = scope.track(new cv.DMatchVector());
         
         try {
             if (this.prevDescriptors.rows > 0 && this.descriptors.rows > 0) {
@@ -214,12 +506,12 @@ export class AREngine {
             }
         } catch (e) {
             console.warn('Matching failed:', e);
-            matches.delete();
+            scope.release();
             return false;
         }
         
         if (matches.size() < this.settings.minInliers) {
-            matches.delete();
+            scope.release();
             return false;
         }
         
@@ -243,144 +535,400 @@ export class AREngine {
                 const queryIdx = match.queryIdx;
                 const trainIdx = match.trainIdx;
                 
-                const prevKp = this.prevKeypoints.get(queryIdx);
-                const currKp = this.keypoints.get(trainIdx);
-                
                 this.trackedPoints.push({
-                    prev: { x: prevKp.pt.x, y: prevKp.pt.y },
-                    curr: { x: currKp.pt.x, y: currKp.pt.y }
+                    prev: this.prevPoints[queryIdx],
+                    curr: this.points[trainIdx],
+                    prevIndex: queryIdx,
+                    currIndex: trainIdx
                 });
                 
                 goodMatches.push(match);
             }
         }
         
-        matches.delete();
+        scope.release();
         return this.trackedPoints.length >= this.settings.minInliers;
     }
 
+    /**
+     * Update the detected planes and find the frame-to-frame homography of
+     * the ground, preferring a plane classified as horizontal
+     * @returns {boolean} Whether a ground homography for pose estimation was found
+     */
     detectPlane() {
-        if (this.trackedPoints.length < 8) {
+        const gravity = this.getGravity();
+        const refGravity = this.prevGravity ?? gravity;
+        this.prevGravity = gravity;
+        
+        this.updatePlanes(gravity, refGravity);
+        
+        // Stay on the same plane so the homography chain keeps measuring one surface
+        const previousId = this.groundPlane?.id ?? null;
+        const horizontal = this.detectedPlanes.filter(plane => plane.orientation === 'horizontal');
+        const ground = horizontal.find(plane => plane.id === previousId) ?? horizontal[0] ?? null;
+        
+        // Until a floor is recognized, the dominant plane is assumed to be the ground
+        const points = ground
+            ? this.trackedPoints.filter(pt => ground.keypointIds.has(pt.currIndex))
+            : this.trackedPoints;
+        const segment = points.length >= 8
+            ? this.segmentPlane(points.map(pt => ({ from: pt.prev, to: pt.curr })))
+            : null;
+        
+        if (!segment) {
+            this.groundPlane = null;
             return false;
         }
         
-        // Convert tracked points to OpenCV format
+        this.groundPlane = {
+            id: ground?.id ?? null,
+            homography: segment.homography,
+            inliers: segment.inliers.length,
+            matches: points.length,
+            center: centroid(segment.inliers.map(pair => pair.to)),
+            refCenter: centroid(segment.inliers.map(pair => pair.from))
+        };
+        
+        if (this.groundPlane.id !== previousId) {
+            this.anchor = null;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Multi-plane detection: homography RANSAC run repeatedly on the outliers
+     * of the previous pass. Frame-to-frame motion is too small to tell planes
+     * apart, so points are compared against a reference frame several frames
+     * back (the plane window).
+     */
+    updatePlanes(gravity, refGravity) {
+        // Follow the window's points into this frame
+        const previous = this.planeWindow;
+        const tracks = new Map();
+        if (previous) {
+            for (const pt of this.trackedPoints) {
+                const ref = previous.tracks.get(pt.prevIndex);
+                if (ref) tracks.set(pt.currIndex, ref);
+            }
+        }
+        
+        if (!previous || tracks.size < this.settings.minInliers * 2 || previous.frames >= this.settings.maxPlaneWindow) {
+            // New window starting at the previous frame
+            this.planeWindow = {
+                tracks: new Map(this.trackedPoints.map(pt => [pt.currIndex, pt.prev])),
+                gravity: refGravity,
+                pose: this.currentPose,
+                frames: 1
+            };
+        } else {
+            previous.tracks = tracks;
+            previous.frames++;
+        }
+        
+        // Homography solutions only hold for the frame they were measured in
+        for (const plane of this.detectedPlanes) {
+            plane.solution = null;
+        }
+        
+        // Carry plane membership over by keypoint correspondence
+        const carried = [];
+        for (const plane of this.detectedPlanes) {
+            const members = this.trackedPoints.filter(pt => plane.keypointIds.has(pt.prevIndex));
+            if (members.length >= this.settings.minInliers) {
+                this.setPlaneMembers(plane, members);
+                carried.push(plane);
+            }
+        }
+        
+        // Not enough baseline yet - keep the planes found in the last window
+        if (this.planeWindow.frames < this.settings.minPlaneWindow) {
+            this.detectedPlanes = carried;
+            return;
+        }
+        
+        const planes = [];
+        let remaining = this.trackedPoints
+            .filter(pt => this.planeWindow.tracks.has(pt.currIndex))
+            .map(pt => ({ from: this.planeWindow.tracks.get(pt.currIndex), to: pt.curr, point: pt }));
+        
+        while (planes.length < this.settings.maxPlanes && remaining.length >= 8) {
+            const segment = this.segmentPlane(remaining);
+            if (!segment) break;
+            
+            const members = segment.inliers.map(pair => pair.point);
+            
+            // Keep the identity and orientation votes of the plane these points belonged to
+            let plane = null;
+            let bestShared = members.length * 0.5;
+            for (const candidate of carried) {
+                const shared = members.filter(pt => candidate.keypointIds.has(pt.currIndex)).length;
+                if (shared > bestShared) {
+                    bestShared = shared;
+                    plane = candidate;
+                }
+            }
+            
+            if (plane) {
+                carried.splice(carried.indexOf(plane), 1);
+            } else {
+                plane = {
+                    id: this.nextPlaneId++,
+                    orientation: 'unknown',
+                    votes: { horizontal: 0, vertical: 0 },
+                    normal: null
+                };
+            }
+            
+            this.setPlaneMembers(plane, members);
+            this.classifyPlane(plane, segment, gravity);
+            planes.push(plane);
+            remaining = segment.outliers;
+        }
+        
+        this.detectedPlanes = planes;
+    }
+
+    setPlaneMembers(plane, members) {
+        plane.points = members.map(pt => pt.curr);
+        plane.keypointIds = new Set(members.map(pt => pt.currIndex));
+        plane.inliers = members.length;
+        plane.center = centroid(plane.points);
+    }
+
+    /**
+     * One RANSAC pass: the dominant homography among point pairs
+     * @param {Array<{from: {x, y}, to: {x, y}}>} pairs
+     * @returns {{homography: number[], inliers: Array, outliers: Array}|null}
+     */
+    segmentPlane(pairs) {
         const srcPoints = [];
         const dstPoints = [];
         
-        for (const pt of this.trackedPoints) {
-            srcPoints.push(pt.prev.x, pt.prev.y);
-            dstPoints.push(pt.curr.x, pt.curr.y);
+        for (const pair of pairs) {
+            srcPoints.push(pair.from.x, pair.from.y);
+            dstPoints.push(pair.to.x, pair.to.y);
         }
         
-        const srcMat = cv.matFromArray(this.trackedPoints.length, 1, cv.CV_32FC2, srcPoints);
-        const dstMat = cv.matFromArray(this.trackedPoints.length, 1, cv.CV_32FC2, dstPoints);
+        const scope = new MatScope();
+        const srcMat = scope.fromArray(pairs.length, 1, cv.CV_32FC2, srcPoints);
+        const dstMat = scope.fromArray(pairs.length, 1, cv.CV_32FC2, dstPoints);
+        const mask = scope.mat();
         
         try {
-            // Find homography using RANSAC
-            const mask = new cv.Mat();
-            const H = cv.findHomography(srcMat, dstMat, cv.RANSAC, this.settings.ransacThreshold, mask);
+            const H = scope.track(cv.findHomography(srcMat, dstMat, cv.RANSAC, this.settings.ransacThreshold, mask));
+            
+            if (H.empty()) return null;
             
-            // Count inliers
-            let inlierCount = 0;
+            const inliers = [];
+            const outliers = [];
             for (let i = 0; i < mask.rows; i++) {
-                if (mask.data[i] > 0) inlierCount++;
+                (mask.data[i] > 0 ? inliers : outliers).push(pairs[i]);
             }
             
-            srcMat.delete();
-            dstMat.delete();
-            mask.delete();
-            
-            if (inlierCount >= this.settings.minInliers && !H.empty()) {
-                // Valid plane detected
-                this.groundPlane = {
-                    homography: H,
-                    inliers: inlierCount,
-                    center: this.calculatePlaneCenter()
-                };
-                
-                this.detectedPlanes = [this.groundPlane];
-                return true;
-            }
+            if (inliers.length < this.settings.minInliers) return null;
             
-            if (!H.empty()) H.delete();
+            return { homography: Array.from(H.data64F), inliers, outliers };
             
         } catch (error) {
             console.warn('Plane detection error:', error);
-            srcMat.delete();
-            dstMat.delete();
+            return null;
+        } finally {
+            scope.release();
         }
-        
-        return false;
     }
 
-    calculatePlaneCenter() {
-        if (this.trackedPoints.length === 0) {
-            return { x: 0, y: 0 };
+    /**
+     * Vote on horizontal / vertical from the plane normal relative to IMU gravity
+     * @param {Object} segment - Plane window homography (window start -> current) and its inliers
+     */
+    classifyPlane(plane, segment, gravity) {
+        const K = Array.from(this.cameraMatrix.data64F);
+        const refGravity = this.planeWindow.gravity;
+        const ref = centroid(segment.inliers.map(pair => pair.from));
+        const refRay = normalize(mat3MultiplyVec(mat3Invert(K), [ref.x, ref.y, 1]));
+        
+        // Solutions in front of the camera, with enough parallax to trust the normal
+        const solutions = decomposeHomography(segment.homography, K, refRay)
+            .filter(s => s.n && dot(s.n, refRay) > 0 && Math.hypot(...s.t) >= this.settings.minPlaneParallax);
+        
+        if (solutions.length === 0) return;
+        
+        // The true solution's rotation carries gravity from the window start to this
+        // frame, and its translation follows the tracked camera motion when known
+        const motion = this.cameraMotion(this.planeWindow.pose, this.currentPose);
+        const scored = solutions
+            .map(s => {
+                let error = 1 - dot(normalize(mat3MultiplyVec(s.R, refGravity)), gravity);
+                if (motion) error += 1 - dot(normalize(s.t), motion);
+                return { s, error };
+            })
+            .sort((a, b) => a.error - b.error);
+        
+        const tolerance = Math.sin(this.settings.planeTiltTolerance * Math.PI / 180);
+        const classify = (n) => {
+            const alongGravity = Math.abs(dot(n, refGravity));
+            if (alongGravity > Math.sqrt(1 - tolerance * tolerance)) return 'horizontal';
+            if (alongGravity < tolerance) return 'vertical';
+            return null;
+        };
+        
+        const best = scored[0];
+        const orientation = classify(best.s.n);
+        const ambiguous = scored.length > 1 && scored[1].error < best.error * 2;
+        
+        // The other solution fits about as well - only trust what both agree on
+        if (ambiguous && classify(scored[1].s.n) !== orientation) return;
+        
+        if (!ambiguous) {
+            // Normal in the current camera, pointing towards the camera
+            plane.normal = scale(normalize(mat3MultiplyVec(best.s.R, best.s.n)), -1);
+            plane.solution = best.s;
         }
         
-        let sumX = 0, sumY = 0;
-        for (const pt of this.trackedPoints) {
-            sumX += pt.curr.x;
-            sumY += pt.curr.y;
+        if (!orientation) return;
+        
+        plane.votes[orientation]++;
+        const { horizontal, vertical } = plane.votes;
+        if (Math.max(horizontal, vertical) >= this.settings.minPlaneVotes) {
+            plane.orientation = horizontal >= vertical ? 'horizontal' : 'vertical';
         }
+    }
+
+    /**
+     * Refine the ground estimate from this frame's ground homography. Its
+     * decomposition gives the plane normal, and the camera travel since the
+     * plane window started in units of that camera's distance to the plane;
+     * the tracked travel turns the distance into world units.
+     * @param {Object} pose - Fused pose of this frame, whose rotation is levelled by gravity
+     */
+    updateGround(pose) {
+        const plane = this.detectedPlanes.find(p => p.id === this.groundPlane?.id);
+        const from = this.planeWindow?.pose;
+        
+        // An image target defines the world frame, ground included
+        if (!plane?.solution || plane.orientation !== 'horizontal' || !from || this.imageTarget.hasTarget) {
+            return;
+        }
+        
+        // Over a short baseline, small pose errors are a large part of the travel
+        const parallax = Math.hypot(...plane.solution.t);
+        if (parallax < this.settings.minGroundParallax) return;
+        
+        // Gently sloped terrain, not a ramp or a plane seen at a grazing angle
+        const slope = Math.acos(Math.min(1, -dot(plane.normal, this.getGravity())));
+        if (slope > this.settings.maxGroundSlope * Math.PI / 180) return;
+        
+        const to = pose;
+        const refCenter = [from.position.x, from.position.y, from.position.z];
+        const travel = Math.hypot(...subtract([to.position.x, to.position.y, to.position.z], refCenter));
+        
+        // The decomposed normal is off by a few degrees; gravity is more precise than that
+        const Rwc = toThreeCameraRotation(to.rotationMatrix);
+        const normal = slope < this.settings.levelTolerance * Math.PI / 180
+            ? [0, 1, 0]
+            : normalize(mat3MultiplyVec(Rwc, plane.normal));
+        const refDistance = travel / parallax;
+        const constant = refDistance - dot(normal, refCenter);
+        
+        const k = this.settings.groundSmoothing;
+        this.ground = {
+            normal: normalize(add(scale(this.ground.normal, 1 - k), scale(normal, k))),
+            constant: this.ground.constant + k * (constant - this.ground.constant),
+            measured: true
+        };
+    }
+
+    /**
+     * Ground plane for the tracking result
+     * @returns {{normal: {x, y, z}, constant: number, height: number, slope: number, measured: boolean}}
+     *   normal · X + constant = 0 in world coordinates, the camera's height above
+     *   the plane and its slope in degrees; level at y = 0 until measured
+     */
+    describeGround(pose) {
+        const { normal: [x, y, z], constant, measured } = this.ground;
+        const { position } = pose;
         
         return {
-            x: sumX / this.trackedPoints.length,
-            y: sumY / this.trackedPoints.length
+            normal: { x, y, z },
+            constant,
+            height: x * position.x + y * position.y + z * position.z + constant,
+            slope: Math.acos(Math.min(1, y)) * 180 / Math.PI,
+            measured
         };
     }
 
-    estimatePose() {
-        if (!this.groundPlane) {
-            return false;
-        }
+    /**
+     * Direction of the camera translation between two poses, in the camera
+     * frame of the second (X2 = R * X1 + t), or null if it barely moved
+     */
+    cameraMotion(from, to) {
+        if (!from || !to) return null;
         
-        // Use homography to estimate camera pose
-        // This is a simplified approach - full SLAM would use bundle adjustment
+        const baseline = [
+            from.position.x - to.position.x,
+            from.position.y - to.position.y,
+            from.position.z - to.position.z
+        ];
+        if (Math.hypot(...baseline) < 0.02) return null;
         
-        const H = this.groundPlane.homography;
+        const Rcw = mat3Transpose(toThreeCameraRotation(to.rotationMatrix));
+        return normalize(mat3MultiplyVec(Rcw, baseline));
+    }
+
+    /**
+     * Plain-object plane list for the tracking result
+     * Normals are in world coordinates when a pose is available
+     */
+    describePlanes(pose) {
+        const Rwc = pose ? toThreeCameraRotation(pose.rotationMatrix) : null;
         
-        if (!H || H.empty()) {
+        return this.detectedPlanes.map(plane => {
+            let normal = null;
+            
+            if (plane.orientation === 'horizontal') {
+                normal = { x: 0, y: 1, z: 0 };
+            } else if (Rwc && plane.normal) {
+                const n = mat3MultiplyVec(Rwc, plane.normal);
+                
+                // Walls are vertical by definition - drop the residual tilt
+                const length = plane.orientation === 'vertical' ? Math.hypot(n[0], n[2]) : 1;
+                normal = plane.orientation === 'vertical'
+                    ? { x: n[0] / length, y: 0, z: n[2] / length }
+                    : { x: n[0], y: n[1], z: n[2] };
+            }
+            
+            return {
+                id: plane.id,
+                orientation: plane.orientation,
+                isGround: plane.id === this.groundPlane?.id,
+                center: plane.center,
+                inliers: plane.inliers,
+                points: plane.points,
+                outline: convexHull(plane.points), // Region of the frame the plane covers, see hullContains()
+                normal
+            };
+        });
+    }
+
+    estimatePose() {
+        if (!this.groundPlane) {
             return false;
         }
         
         try {
-            // Decompose homography to get rotation and translation
-            // Using a simplified method based on SVD
-            
-            const h1 = [H.doubleAt(0, 0), H.doubleAt(1, 0), H.doubleAt(2, 0)];
-            const h2 = [H.doubleAt(0, 1), H.doubleAt(1, 1), H.doubleAt(2, 1)];
-            const h3 = [H.doubleAt(0, 2), H.doubleAt(1, 2), H.doubleAt(2, 2)];
-            
-            // Normalize by camera matrix (simplified)
-            const fx = this.cameraMatrix.doubleAt(0, 0);
-            const fy = this.cameraMatrix.doubleAt(1, 1);
-            
-            // Estimate translation (simplified)
-            const tx = h3[0] / fx;
-            const ty = h3[1] / fy;
-            const tz = 1.0; // Assume fixed distance
-            
-            // Combine with IMU for rotation
-            const rotX = this.imuData.beta * (Math.PI / 180);
-            const rotY = this.imuData.gamma * (Math.PI / 180);
-            const rotZ = this.imuData.alpha * (Math.PI / 180);
-            
-            this.currentPose = {
-                position: {
-                    x: tx,
-                    y: ty,
-                    z: tz
-                },
-                rotation: {
-                    x: rotX,
-                    y: rotY,
-                    z: rotZ
-                },
-                planeCenter: this.groundPlane.center
-            };
+            const K = Array.from(this.cameraMatrix.data64F);
+            
+            if (!this.anchor) {
+                // The chained homography starts at the previous frame
+                this.createAnchor(K, this.groundPlane.refCenter, this.currentPose);
+            }
+            
+            // Chain this frame's homography onto the anchor (anchor -> current)
+            const chained = mat3Multiply(this.groundPlane.homography, this.anchor.homography);
+            this.anchor.homography = chained.map(v => v / chained[8]);
             
+            this.poseFromAnchor(K, this.groundPlane.center, this.groundPlane.inliers / this.groundPlane.matches);
             return true;
             
         } catch (error) {
@@ -389,6 +937,182 @@ export class AREngine {
         }
     }
 
+    /**
+     * Decompose the anchor homography into the current camera pose
+     */
+    poseFromAnchor(K, planeCenter, confidence) {
+        // Keep the solution consistent with the known plane
+        const solutions = decomposeHomography(this.anchor.homography, K, this.anchor.refRay);
+        const solution = selectHomographySolution(solutions, this.anchor.refRay, this.anchor.normal);
+        
+        // Translation from decomposition is in units of plane distance
+        const t = scale(solution.t, this.anchor.distance);
+        
+        // Camera centre and orientation in the plane's world frame
+        const Rt = mat3Transpose(solution.R);
+        const centerInRef = scale(mat3MultiplyVec(Rt, t), -1);
+        const position = add(mat3MultiplyVec(this.anchor.worldFromRef, centerInRef), this.anchor.origin);
+        const Rwc = mat3Multiply(this.anchor.worldFromRef, Rt);
+        
+        this.currentPose = this.buildPose(Rwc, position, planeCenter, confidence);
+    }
+
+    /**
+     * Assemble the pose object shared by the homography and map trackers
+     * @param {number[]} Rwc - Camera-to-world rotation (OpenCV camera axes)
+     * @param {number[]} position - Camera centre in world coordinates
+     */
+    buildPose(Rwc, position, planeCenter, confidence) {
+        const rotationMatrix = toThreeCameraRotation(Rwc);
+        
+        return {
+            position: {
+                x: position[0],
+                y: position[1],
+                z: position[2]
+            },
+            rotation: matrixToEuler(rotationMatrix),
+            quaternion: matrixToQuaternion(rotationMatrix),
+            rotationMatrix,
+            planeCenter,
+            confidence,
+            intrinsics: this.getIntrinsics()
+        };
+    }
+
+    /**
+     * Pose for the renderer with the fused orientation; the visual pose is
+     * kept as currentPose so the map and anchors stay purely visual
+     */
+    fusePose(pose) {
+        if (!this.orientationFilter.isReady) return pose;
+        
+        const quaternion = this.orientationFilter.quaternion;
+        const rotationMatrix = quatToMatrix(quaternion);
+        
+        return {
+            ...pose,
+            rotation: matrixToEuler(rotationMatrix),
+            quaternion,
+            rotationMatrix,
+            gravity: this.orientationFilter.gravity
+        };
+    }
+
+    trackMap(points) {
+        const located = this.locateInMap(points);
+        
+        if (!located) {
+            return false;
+        }
+        
+        this.currentPose = this.poseFromLocation(located);
+        return true;
+    }
+
+    /**
+     * Pose relative to the image target, whose printout is the world frame
+     */
+    trackImageTarget(points) {
+        const located = this.imageTarget.locate(points, this.descriptors, this.cameraMatrix, this.distCoeffs);
+        
+        if (!located) {
+            return false;
+        }
+        
+        this.targetCorners = located.corners;
+        this.currentPose = this.poseFromLocation(located);
+        return true;
+    }
+
+    /**
+     * @param {{Rcw: number[], tcw: number[], center, inliers: number, matches: number, confidence?: number}} located - PnP result
+     */
+    poseFromLocation(located) {
+        const Rwc = mat3Transpose(located.Rcw);
+        const position = scale(mat3MultiplyVec(Rwc, located.tcw), -1);
+        const confidence = located.confidence ?? located.inliers / located.matches;
+        
+        return this.buildPose(Rwc, position, located.center, confidence);
+    }
+
+    /**
+     * @returns {Object|null} Map localization of the current frame, see KeyframeMap.track()
+     */
+    locateInMap(points) {
+        return this.map.track(points, this.descriptors, this.cameraMatrix, this.distCoeffs);
+    }
+
+    updateMap(points) {
+        const K = Array.from(this.cameraMatrix.data64F);
+        const Rcw = mat3Transpose(toThreeCameraRotation(this.currentPose.rotationMatrix));
+        const { x, y, z } = this.currentPose.position;
+        const tcw = scale(mat3MultiplyVec(Rcw, [x, y, z]), -1);
+        
+        // Camera height stands in for scene depth when judging parallax
+        this.map.maybeAddKeyframe(points, this.descriptors, Rcw, tcw, K, Math.max(y, 0.1));
+    }
+
+    /**
+     * Start a homography chain at a reference frame
+     * @param {{x, y}} refCenter - A plane point in the reference image (pixels)
+     * @param {Object|null} pose - Known pose of the reference frame, if any
+     */
+    createAnchor(K, refCenter, pose) {
+        const refRay = normalize(mat3MultiplyVec(mat3Invert(K), [refCenter.x, refCenter.y, 1]));
+        
+        let worldFromRef, origin;
+        
+        if (pose) {
+            // Continue in the existing world frame from the known pose
+            worldFromRef = toThreeCameraRotation(pose.rotationMatrix);
+            origin = [pose.position.x, pose.position.y, pose.position.z];
+        } else {
+            // New world frame: level ground below the camera, oriented by gravity,
+            // at the height last measured above the ground if there is one
+            const down = this.getGravity();
+            worldFromRef = worldFromCameraRotation(down);
+            origin = [0, this.measuredHeight ?? this.settings.cameraHeight, 0];
+            this.ground = levelGround();
+        }
+        
+        // Ground plane expressed in the reference camera
+        const { normal: up, constant } = this.ground;
+        const normal = mat3MultiplyVec(mat3Transpose(worldFromRef), scale(up, -1));
+        
+        this.anchor = {
+            homography: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+            worldFromRef,
+            origin,
+            normal,
+            distance: Math.max(dot(up, origin) + constant, 0.1),
+            refRay
+        };
+    }
+
+    startRelocalization(timeoutFrames) {
+        console.log('[AREngine] Tracking lost - relocalizing');
+        this.isRelocalizing = true;
+        this.relocalizeTimeout = timeoutFrames;
+        this.anchor = null;
+    }
+
+    relocalize(points) {
+        const found = this.relocalizer.relocalize(points, this.descriptors);
+        
+        if (!found) {
+            return false;
+        }
+        
+        // Resume the homography chain from the recognized snapshot
+        const K = Array.from(this.cameraMatrix.data64F);
+        this.createAnchor(K, found.refCenter, found.pose);
+        this.anchor.homography = found.homography.map(v => v / found.homography[8]);
+        
+        this.poseFromAnchor(K, found.center, found.inliers / found.matches);
+        return true;
+    }
+
     drawDebug(result) {
         if (!this.debugCtx || !this.debugCanvas) return;
         
@@ -397,10 +1121,9 @@ export class AREngine {
         
         // Draw tracked feature points
         ctx.fillStyle = '#00ff00';
-        for (let i = 0; i < this.keypoints.size(); i++) {
-            const kp = this.keypoints.get(i);
+        for (const p of this.points) {
             ctx.beginPath();
-            ctx.arc(kp.pt.x, kp.pt.y, 3, 0, Math.PI * 2);
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
             ctx.fill();
         }
         
@@ -414,6 +1137,16 @@ export class AREngine {
             ctx.stroke();
         }
         
+        // Draw plane inliers, colored by orientation
+        const planeColors = { horizontal: '#00ffff', vertical: '#ff00ff', unknown: '#ffffff' };
+        for (const plane of this.detectedPlanes) {
+            ctx.strokeStyle = planeColors[plane.orientation];
+            ctx.lineWidth = 2;
+            for (const p of plane.points) {
+                ctx.strokeRect(p.x - 4, p.y - 4, 8, 8);
+            }
+        }
+        
         // Draw plane center
         if (this.groundPlane) {
             ctx.fillStyle = '#ff0000';
@@ -428,13 +1161,23 @@ export class AREngine {
             ctx.arc(this.groundPlane.center.x, this.groundPlane.center.y, 50, 0, Math.PI * 2);
             ctx.stroke();
         }
+        
+        // Draw image target outline
+        if (this.targetCorners) {
+            ctx.strokeStyle = '#ff9800';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            this.targetCorners.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.closePath();
+            ctx.stroke();
+        }
     }
 
     setDebugVisible(visible) {
         this.showDebug = visible;
-        if (this.debugCanvas) {
-            this.debugCanvas.classList.toggle('visible', visible);
-        }
+        
+        // An OffscreenCanvas has no classList; its element is toggled on the main thread
+        this.debugCanvas?.classList?.toggle('visible', visible);
     }
 
     updateSettings(settings) {
@@ -442,35 +1185,105 @@ export class AREngine {
         
         // Recreate ORB if maxFeatures changed
         if (settings.maxFeatures) {
-            this.orb.delete();
-            this.orb = new cv.ORB(this.settings.maxFeatures);
+            this.mats.free(this.orb);
+            this.orb = this.mats.track(new cv.ORB(this.settings.maxFeatures));
         }
     }
 
-    reset() {
+    /**
+     * Anchor the world to a printed image instead of the first tracked surface
+     * @param {Object|null} target - See ImageTarget.setTarget(); null returns to markerless tracking
+     */
+    setImageTarget(target) {
+        if (target) {
+            this.imageTarget.setTarget(target);
+        } else {
+            this.imageTarget.clear();
+        }
+        
+        // Snapshots and map were measured in the previous world frame
+        this.relocalizer.clear();
+        this.reset();
+    }
+
+    /**
+     * Rescale the world frame, e.g. to meters once a known distance was measured in it.
+     * Pose, map and snapshots keep their place in the rescaled world, and later
+     * world frames start at the rescaled camera height.
+     * @param {number} factor - New world units per old one
+     */
+    setWorldScale(factor) {
+        this.settings.cameraHeight *= factor;
+        this.ground.constant *= factor;
+        if (this.measuredHeight !== null) {
+            this.measuredHeight *= factor;
+        }
+        
+        if (this.currentPose) {
+            this.currentPose = scalePosition(this.currentPose, factor);
+        }
+        if (this.planeWindow?.pose) {
+            this.planeWindow.pose = scalePosition(this.planeWindow.pose, factor);
+        }
+        if (this.anchor) {
+            this.anchor.origin = scale(this.anchor.origin, factor);
+            this.anchor.distance *= factor;
+        }
+        
+        this.map.rescale(factor);
+        this.relocalizer.rescale(factor);
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.forget] - Also drop relocalization snapshots and
+     *   the fused orientation, e.g. before replaying a recorded session
+     */
+    reset(options = {}) {
+        if (options.forget) {
+            this.relocalizer.clear();
+            this.orientationFilter.reset();
+            this.measuredHeight = null;
+        }
+        
         this.isTracking = false;
         this.trackedPoints = [];
         this.currentPose = null;
         this.detectedPlanes = [];
         this.groundPlane = null;
+        this.planeWindow = null;
+        this.prevGravity = null;
+        this.ground = levelGround();
+        this.anchor = null;
+        this.map.clear();
+        this.lostFrames = 0;
+        this.isRelocalizing = false;
+        this.targetVisible = false;
+        this.targetCorners = null;
+        this.trackingState.reset();
         
-        if (this.prevGrayFrame.rows > 0) {
+        // Keep the snapshots briefly so the previous world frame can be recovered
+        if (this.relocalizer.hasFrames) {
+            this.startRelocalization(this.settings.resetRelocalizeFrames);
+        }
+        
+        if (this.prevGrayFrame?.rows > 0) {
             this.prevGrayFrame.setTo([0, 0, 0, 0]);
         }
     }
 
     dispose() {
         // Clean up OpenCV resources
-        this.frame?.delete();
-        this.grayFrame?.delete();
-        this.prevGrayFrame?.delete();
-        this.keypoints?.delete();
-        this.descriptors?.delete();
-        this.prevKeypoints?.delete();
-        this.prevDescriptors?.delete();
-        this.cameraMatrix?.delete();
-        this.distCoeffs?.delete();
-        this.orb?.delete();
-        this.matcher?.delete();
+        this.mats.release();
+        this.map.dispose();
+        this.relocalizer.dispose();
+        this.imageTarget.dispose();
+        this.lightEstimator.dispose();
+        
+        // The app swaps engines at runtime; a disposed one must stop listening
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('deviceorientation', this.onDeviceOrientation);
+            window.removeEventListener('devicemotion', this.onDeviceMotion);
+        }
     }
 }
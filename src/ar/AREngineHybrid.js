@@ -0,0 +1,234 @@
+/**
+ * AR Engine Hybrid - ORB keyframes with Lucas-Kanade tracking in between
+ * Detects ORB features and descriptors only every few frames (or when too
+ * few points survive) and follows the points with pyramidal optical flow in
+ * between. Map landmarks found by descriptor matching stay attached to the
+ * flowed points, so the pose comes from PnP on every frame; planes, anchors
+ * and relocalization are shared with AREngine. Flow outliers are left to the
+ * homography and PnP RANSAC unless settings.backwardCheck is on.
+ */
+
+import { AREngine } from './AREngine.js';
+import { MatPool } from './CvMemory.js';
+
+export class AREngineHybrid extends AREngine {
+    /**
+     * @param {Object} [options] - See AREngine
+     */
+    constructor(options = {}) {
+        super(options);
+
+        Object.assign(this.settings, {
+            keyframeInterval: 10, // Frames between ORB detections while tracking
+            minFlowPoints: 120,   // Fewer surviving points forces an ORB detection
+            flowWinSize: 15,
+            flowMaxLevel: 2,
+            backwardCheck: false, // Flow back and drop points that don't return; costs a second LK pass
+            maxFlowError: 1.0,    // Forward-backward flow disagreement (camera pixels)
+            keyframeMatchRadius: 3 // Working pixels between a flowed point and its ORB keypoint
+        });
+
+        this.pool = new MatPool(); // Flow outputs reused from frame to frame
+        this.isKeyframe = false;
+        this.framesSinceKeyframe = 0;
+        this.flowMatches = []; // { prevIndex, currIndex } pairs of the current frame
+        this.landmarkIds = []; // Map landmark per point, -1 for none
+        this.prevLandmarkIds = [];
+    }
+
+    processFrame(source) {
+        const result = super.processFrame(source);
+
+        this.prevLandmarkIds = this.landmarkIds;
+        result.isKeyframe = this.isKeyframe;
+        return result;
+    }
+
+    /**
+     * Flow the previous points into this frame and run ORB only when needed
+     */
+    detectFeatures() {
+        const flowed = this.flowPoints();
+
+        this.isKeyframe = !this.isTracking || this.isRelocalizing ||
+            flowed.length < this.settings.minFlowPoints ||
+            this.framesSinceKeyframe + 1 >= this.settings.keyframeInterval;
+
+        if (this.isKeyframe) {
+            super.detectFeatures();
+            this.flowMatches = this.matchKeypoints(flowed);
+            this.framesSinceKeyframe = 0;
+        } else {
+            // Between keyframes the flowed points are the features, without descriptors
+            this.points = flowed.map(p => ({ x: p.x, y: p.y }));
+            this.flowMatches = flowed.map((p, i) => ({ prevIndex: p.prevIndex, currIndex: i }));
+            this.mats.free(this.descriptors);
+            this.descriptors = this.mats.mat();
+            this.framesSinceKeyframe++;
+        }
+
+        // Landmarks travel with their points
+        this.landmarkIds = new Array(this.points.length).fill(-1);
+        for (const { prevIndex, currIndex } of this.flowMatches) {
+            this.landmarkIds[currIndex] = this.prevLandmarkIds[prevIndex] ?? -1;
+        }
+    }
+
+    /**
+     * Pyramidal LK from the previous frame, optionally checked by flowing back
+     * @returns {{x, y, prevIndex}[]} Points that were followed reliably
+     */
+    flowPoints() {
+        const count = this.prevPoints.length;
+        if (count === 0 || this.prevGrayFrame.rows === 0) {
+            return [];
+        }
+
+        // Shaped like LK's outputs, so pooled Mats are reused whenever the point count repeats
+        const prev = this.pool.acquire(count, 1, cv.CV_32FC2);
+        const next = this.pool.acquire(count, 1, cv.CV_32FC2);
+        const status = this.pool.acquire(count, 1, cv.CV_8UC1);
+        const err = this.pool.acquire(count, 1, cv.CV_32FC1);
+        const back = this.settings.backwardCheck ? this.pool.acquire(count, 1, cv.CV_32FC2) : null;
+        const backStatus = this.settings.backwardCheck ? this.pool.acquire(count, 1, cv.CV_8UC1) : null;
+        const winSize = new cv.Size(this.settings.flowWinSize, this.settings.flowWinSize);
+        const criteria = new cv.TermCriteria(cv.TermCriteria_EPS | cv.TermCriteria_COUNT, 20, 0.03);
+
+        try {
+            // Points are kept in camera pixels, the flow runs at the working resolution
+            const scale = this.workingScale;
+            prev.data32F.set(this.prevPoints.flatMap(p => [p.x * scale, p.y * scale]));
+
+            cv.calcOpticalFlowPyrLK(this.prevGrayFrame, this.grayFrame, prev, next, status, err,
+                winSize, this.settings.flowMaxLevel, criteria);
+            if (this.settings.backwardCheck) {
+                cv.calcOpticalFlowPyrLK(this.grayFrame, this.prevGrayFrame, next, back, backStatus, err,
+                    winSize, this.settings.flowMaxLevel, criteria);
+            }
+
+            const { cols: width, rows: height } = this.frame;
+            const found = status.data;
+            const coords = next.data32F;
+            const flowed = [];
+
+            for (let i = 0; i < count; i++) {
+                if (!found[i]) continue;
+
+                const x = coords[i * 2] / scale;
+                const y = coords[i * 2 + 1] / scale;
+                if (!(x >= 0 && y >= 0 && x < width && y < height)) continue;
+
+                // Flowing back must return to where the point started
+                if (this.settings.backwardCheck) {
+                    const dx = back.data32F[i * 2] / scale - this.prevPoints[i].x;
+                    const dy = back.data32F[i * 2 + 1] / scale - this.prevPoints[i].y;
+                    if (!backStatus.data[i] || dx * dx + dy * dy > this.settings.maxFlowError ** 2) continue;
+                }
+
+                flowed.push({ x, y, prevIndex: i });
+            }
+
+            return flowed;
+
+        } catch (error) {
+            console.warn('[AREngineHybrid] Optical flow failed:', error);
+            return [];
+        } finally {
+            for (const mat of [prev, next, status, err, back, backStatus]) {
+                this.pool.release(mat);
+            }
+        }
+    }
+
+    /**
+     * Continue flowed tracks on the fresh ORB keypoints they landed on
+     * @returns {{prevIndex, currIndex}[]}
+     */
+    matchKeypoints(flowed) {
+        const radius = this.settings.keyframeMatchRadius / this.workingScale;
+        const cellKey = (x, y) => `${Math.floor(x / radius)},${Math.floor(y / radius)}`;
+
+        const grid = new Map();
+        this.points.forEach((p, index) => {
+            const key = cellKey(p.x, p.y);
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(index);
+        });
+
+        const matches = [];
+        const taken = new Set();
+
+        for (const p of flowed) {
+            let best = -1;
+            let bestDistance = radius * radius;
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (const index of grid.get(cellKey(p.x + dx * radius, p.y + dy * radius)) ?? []) {
+                        const q = this.points[index];
+                        const distance = (q.x - p.x) ** 2 + (q.y - p.y) ** 2;
+                        if (distance <= bestDistance && !taken.has(index)) {
+                            best = index;
+                            bestDistance = distance;
+                        }
+                    }
+                }
+            }
+
+            if (best >= 0) {
+                taken.add(best);
+
+                // The flowed position is sub-pixel; the descriptor still describes the same corner
+                this.points[best] = { x: p.x, y: p.y };
+                matches.push({ prevIndex: p.prevIndex, currIndex: best });
+            }
+        }
+
+        return matches;
+    }
+
+    trackFeatures() {
+        this.trackedPoints = this.flowMatches.map(({ prevIndex, currIndex }) => ({
+            prev: this.prevPoints[prevIndex],
+            curr: this.points[currIndex],
+            prevIndex,
+            currIndex
+        }));
+
+        return this.trackedPoints.length >= this.settings.minInliers;
+    }
+
+    /**
+     * Descriptor matching on keyframes, carried landmark ids in between
+     */
+    locateInMap(points) {
+        const located = this.isKeyframe
+            ? this.map.track(points, this.descriptors, this.cameraMatrix, this.distCoeffs)
+            : this.map.trackObserved(points, this.landmarkIds, this.cameraMatrix, this.distCoeffs);
+
+        if (located) {
+            // Only PnP inliers keep their landmark; outliers have drifted or were mismatched
+            this.landmarkIds.fill(-1);
+            for (const { id, index } of located.observed) {
+                this.landmarkIds[index] = id;
+            }
+        }
+
+        return located;
+    }
+
+    reset(options = {}) {
+        super.reset(options);
+
+        // Landmark ids refer to the cleared map
+        this.landmarkIds = [];
+        this.prevLandmarkIds = [];
+        this.isKeyframe = false;
+        this.framesSinceKeyframe = 0;
+    }
+
+    dispose() {
+        this.pool.clear();
+        super.dispose();
+    }
+}
@@ -3,21 +3,37 @@
  * With enhanced debugging and error handling
  */
 
+import { loadCalibration } from './CameraCalibration.js';
+import { MatScope, memoryStats } from './CvMemory.js';
+import { FrameReader, frameSize, matchWorkingSize, toWorkingGray } from './FrameReader.js';
+import { LightEstimator } from './LightEstimator.js';
+import { motionSample, OrientationFilter } from './OrientationFilter.js';
+import { convexHull, scalePosition } from './PoseMath.js';
+import { TrackingStateMachine } from './TrackingState.js';
+
 export class AREngineSimple {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {HTMLCanvasElement|OffscreenCanvas|null} [options.debugCanvas] - Defaults to #debug-canvas, null for none
+     */
+    constructor(options = {}) {
         // Frames
         this.frame = null;
-        this.grayFrame = null;
+        this.grayFrame = null; // At the working resolution (settings.processingScale)
         this.prevGrayFrame = null;
+        this.fullGrayFrame = null; // Camera resolution, before downsampling
+        this.workingScale = 1; // Working / camera pixels of the current frame
+        this.mats = new MatScope(); // Owns every long-lived OpenCV object, deleted in dispose()
         
-        // Optical flow
+        // Optical flow, in working pixels
         this.prevPoints = null;
         this.nextPoints = null;
         this.status = null;
         this.err = null;
         
-        // Tracking state
+        // Tracking state; points in camera pixels
         this.isTracking = false;
+        this.trackingState = new TrackingStateMachine();
         this.currentPose = null;
         this.trackedPoints = [];
         this.goodFeatures = [];
@@ -28,9 +44,21 @@ export class AREngineSimple {
         
         // IMU
         this.imuData = { alpha: 0, beta: 0, gamma: 0 };
+        this.orientationFilter = new OrientationFilter();
+        
+        // Camera intrinsics (saved calibration or estimate)
+        this.intrinsics = null;
+        this.calibration = null; // Injected when localStorage is unavailable (worker)
+        
+        // Reads pixels from video, ImageBitmap or ImageData
+        this.frameReader = new FrameReader();
+        
+        // Scene lighting for the renderer, from the same frames
+        this.lightEstimator = new LightEstimator();
         
         // Settings
         this.settings = {
+            processingScale: 1, // Working / camera resolution, lowered by FrameScheduler on slow devices
             maxCorners: 200,
             qualityLevel: 0.01,
             minDistance: 15,
@@ -38,12 +66,15 @@ export class AREngineSimple {
             winSize: 21,
             maxLevel: 3,
             minFeatures: 15,
-            featureRefreshInterval: 15 // Refresh more often
+            featureRefreshInterval: 15, // Refresh more often
+            cameraHeight: 1.5 // Phone height above the ground (meters); assumed until setWorldScale()
         };
         
         this.frameCount = 0;
         this.initialized = false;
-        this.debugCanvas = document.getElementById('debug-canvas');
+        this.debugCanvas = options.debugCanvas !== undefined
+            ? options.debugCanvas
+            : document.getElementById('debug-canvas');
         this.debugCtx = this.debugCanvas?.getContext('2d');
         this.showDebug = true; // Enable debug by default for troubleshooting
         
@@ -61,12 +92,14 @@ export class AREngineSimple {
             }
             
             // Initialize OpenCV matrices
-            this.grayFrame = new cv.Mat();
-            this.prevGrayFrame = new cv.Mat();
-            this.prevPoints = new cv.Mat();
-            this.nextPoints = new cv.Mat();
-            this.status = new cv.Mat();
-            this.err = new cv.Mat();
+            this.grayFrame = this.mats.mat();
+            this.prevGrayFrame = this.mats.mat();
+            this.fullGrayFrame = this.mats.mat();
+            this.prevPoints = this.mats.mat();
+            this.nextPoints = this.mats.mat();
+            this.status = this.mats.mat();
+            this.err = this.mats.mat();
+            this.noMask = this.mats.mat(); // Detect over the whole frame
             
             // Setup IMU
             this.setupIMU();
@@ -81,6 +114,9 @@ export class AREngineSimple {
     }
 
     setupIMU() {
+        // In a worker the IMU readings are forwarded by the main thread
+        if (typeof window === 'undefined') return;
+        
         if (window.DeviceOrientationEvent) {
             if (typeof DeviceOrientationEvent.requestPermission === 'function') {
                 // iOS 13+
@@ -101,15 +137,30 @@ export class AREngineSimple {
     }
 
     bindIMU() {
-        window.addEventListener('deviceorientation', (event) => {
+        this.onDeviceOrientation = (event) => {
             this.imuData.alpha = event.alpha || 0;
             this.imuData.beta = event.beta || 0;
             this.imuData.gamma = event.gamma || 0;
-        });
+        };
+        this.onDeviceMotion = (event) => {
+            this.addMotionSample(motionSample(event));
+        };
+        
+        window.addEventListener('deviceorientation', this.onDeviceOrientation);
+        
+        // iOS grants motion and orientation access together
+        window.addEventListener('devicemotion', this.onDeviceMotion);
         console.log('[AREngine] IMU bound');
     }
 
-    processFrame(video) {
+    addMotionSample(sample) {
+        this.orientationFilter.addSample(sample);
+    }
+
+    /**
+     * @param {HTMLVideoElement|ImageBitmap|ImageData} source - Camera frame
+     */
+    processFrame(source) {
         const result = {
             isTracking: false,
             hasFeatures: false,
@@ -125,8 +176,7 @@ export class AREngineSimple {
         }
 
         try {
-            const videoWidth = video.videoWidth;
-            const videoHeight = video.videoHeight;
+            const { width: videoWidth, height: videoHeight } = frameSize(source);
             
             // Log periodically
             const now = Date.now();
@@ -145,8 +195,14 @@ export class AREngineSimple {
             if (!this.frame || this.frame.rows !== videoHeight || this.frame.cols !== videoWidth) {
                 console.log(`[AREngine] Creating frame buffer: ${videoWidth}x${videoHeight}`);
                 
-                if (this.frame) this.frame.delete();
-                this.frame = new cv.Mat(videoHeight, videoWidth, cv.CV_8UC4);
+                // Turning the phone swaps the stream's width and height; the
+                // previous frame and its points don't fit the new one
+                if (this.frame) {
+                    this.mats.free(this.frame);
+                    this.reset();
+                }
+                this.frame = this.mats.mat(videoHeight, videoWidth, cv.CV_8UC4);
+                this.intrinsics = null;
                 
                 if (this.debugCanvas) {
                     this.debugCanvas.width = videoWidth;
@@ -154,18 +210,22 @@ export class AREngineSimple {
                 }
             }
             
-            // Capture frame from video using canvas (more reliable)
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = videoWidth;
-            tempCanvas.height = videoHeight;
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCtx.drawImage(video, 0, 0);
+            // Capture frame pixels through a reused canvas
+            this.frame.data.set(this.frameReader.read(source).data);
+            result.lighting = this.lightEstimator.update(this.frame);
             
-            const imageData = tempCtx.getImageData(0, 0, videoWidth, videoHeight);
-            this.frame.data.set(imageData.data);
+            // Convert to grayscale at the working resolution
+            this.workingScale = toWorkingGray(this.frame, this.grayFrame, this.settings.processingScale, this.fullGrayFrame);
+            result.workingSize = { width: this.grayFrame.cols, height: this.grayFrame.rows };
             
-            // Convert to grayscale
-            cv.cvtColor(this.frame, this.grayFrame, cv.COLOR_RGBA2GRAY);
+            // Points still in the previous working resolution follow the resized frame
+            const ratio = matchWorkingSize(this.prevGrayFrame, this.grayFrame);
+            if (ratio !== 1 && this.prevPoints.rows > 0) {
+                const coords = this.prevPoints.data32F;
+                for (let i = 0; i < coords.length; i++) {
+                    coords[i] *= ratio;
+                }
+            }
             
             this.frameCount++;
             
@@ -196,6 +256,7 @@ export class AREngineSimple {
                         this.estimatePose();
                         result.isTracking = true;
                         result.pose = this.currentPose;
+                        result.planes = [this.describeGroundPlane()];
                     }
                 }
             } else {
@@ -215,18 +276,16 @@ export class AREngineSimple {
         }
 
         this.isTracking = result.isTracking;
+        result.trackingState = this.trackingState.update(result, this.orientationFilter.angularSpeed);
+        result.memory = memoryStats();
         return result;
     }
 
     detectFeatures() {
         try {
             // Clean up previous points
-            if (this.prevPoints && this.prevPoints.rows > 0) {
-                this.prevPoints.delete();
-            }
-            
-            this.prevPoints = new cv.Mat();
-            const mask = new cv.Mat();
+            this.mats.free(this.prevPoints);
+            this.prevPoints = this.mats.mat();
             
             // Detect Shi-Tomasi corners (good features to track)
             cv.goodFeaturesToTrack(
@@ -235,19 +294,18 @@ export class AREngineSimple {
                 this.settings.maxCorners,
                 this.settings.qualityLevel,
                 this.settings.minDistance,
-                mask,
+                this.noMask,
                 this.settings.blockSize,
                 false,
                 0.04
             );
             
-            mask.delete();
-            
             console.log(`[AREngine] goodFeaturesToTrack found ${this.prevPoints.rows} points`);
             
         } catch (error) {
             console.error('[AREngine] Feature detection error:', error);
-            this.prevPoints = new cv.Mat();
+            this.mats.free(this.prevPoints);
+            this.prevPoints = this.mats.mat();
         }
     }
 
@@ -257,15 +315,6 @@ export class AREngineSimple {
         }
         
         try {
-            // Clean up old matrices
-            if (this.nextPoints && this.nextPoints.rows > 0) this.nextPoints.delete();
-            if (this.status && this.status.rows > 0) this.status.delete();
-            if (this.err && this.err.rows > 0) this.err.delete();
-            
-            this.nextPoints = new cv.Mat();
-            this.status = new cv.Mat();
-            this.err = new cv.Mat();
-            
             // Lucas-Kanade optical flow parameters
             const winSize = new cv.Size(this.settings.winSize, this.settings.winSize);
             const criteria = new cv.TermCriteria(
@@ -273,6 +322,7 @@ export class AREngineSimple {
                 30, 0.01
             );
             
+            // Writes into the reused nextPoints / status / err Mats
             cv.calcOpticalFlowPyrLK(
                 this.prevGrayFrame,
                 this.grayFrame,
@@ -285,17 +335,18 @@ export class AREngineSimple {
                 criteria
             );
             
-            // Filter good points
+            // Filter good points, reported in camera pixels
+            const toCamera = 1 / this.workingScale;
             this.goodFeatures = [];
             this.trackedPoints = [];
             const newPrevPoints = [];
             
             for (let i = 0; i < this.status.rows; i++) {
                 if (this.status.data[i] === 1) {
-                    const prevX = this.prevPoints.data32F[i * 2];
-                    const prevY = this.prevPoints.data32F[i * 2 + 1];
-                    const nextX = this.nextPoints.data32F[i * 2];
-                    const nextY = this.nextPoints.data32F[i * 2 + 1];
+                    const prevX = this.prevPoints.data32F[i * 2] * toCamera;
+                    const prevY = this.prevPoints.data32F[i * 2 + 1] * toCamera;
+                    const nextX = this.nextPoints.data32F[i * 2] * toCamera;
+                    const nextY = this.nextPoints.data32F[i * 2 + 1] * toCamera;
                     
                     // Validate coordinates
                     if (isNaN(prevX) || isNaN(nextX)) continue;
@@ -311,19 +362,19 @@ export class AREngineSimple {
                             prev: { x: prevX, y: prevY },
                             curr: { x: nextX, y: nextY }
                         });
-                        newPrevPoints.push(nextX, nextY);
+                        newPrevPoints.push(this.nextPoints.data32F[i * 2], this.nextPoints.data32F[i * 2 + 1]);
                     }
                 }
             }
             
             // Update prev points for next frame
-            this.prevPoints.delete();
+            this.mats.free(this.prevPoints);
             if (newPrevPoints.length > 0) {
-                this.prevPoints = cv.matFromArray(
+                this.prevPoints = this.mats.fromArray(
                     newPrevPoints.length / 2, 1, cv.CV_32FC2, newPrevPoints
                 );
             } else {
-                this.prevPoints = new cv.Mat();
+                this.prevPoints = this.mats.mat();
             }
             
         } catch (error) {
@@ -386,25 +437,91 @@ export class AREngineSimple {
         }
     }
 
+    /**
+     * The one plane this engine knows, in the shape of AREngine's plane list:
+     * every tracked feature moving together is taken for the ground
+     */
+    describeGroundPlane() {
+        return {
+            id: 0,
+            orientation: 'horizontal',
+            isGround: true,
+            center: this.groundPlane.center,
+            inliers: this.goodFeatures.length,
+            points: this.goodFeatures,
+            outline: convexHull(this.goodFeatures),
+            normal: { x: 0, y: 1, z: 0 }
+        };
+    }
+
     estimatePose() {
         if (!this.groundPlane) return;
         
-        const motion = this.groundPlane.motion;
-        
-        const tx = -motion.dx * 0.001;
-        const ty = motion.dy * 0.001;
-        const tz = 3.0;
-        
         const rotX = this.imuData.beta * (Math.PI / 180);
         const rotY = this.imuData.gamma * (Math.PI / 180);
         const rotZ = this.imuData.alpha * (Math.PI / 180);
         
+        // Optical flow alone can't measure translation: the camera stays
+        // at its height above the world origin and only turns
         this.currentPose = {
-            position: { x: tx, y: ty, z: tz },
+            position: { x: 0, y: this.settings.cameraHeight, z: 0 },
             rotation: { x: rotX, y: rotY, z: rotZ },
             planeCenter: this.groundPlane.center,
-            confidence: this.groundPlane.confidence
+            confidence: this.groundPlane.confidence,
+            intrinsics: this.getIntrinsics()
         };
+        
+        // Gyro-fused orientation avoids the gimbal lock of the Euler angles above
+        if (this.orientationFilter.isReady) {
+            this.currentPose.quaternion = this.orientationFilter.quaternion;
+            this.currentPose.gravity = this.orientationFilter.gravity;
+        }
+    }
+
+    getIntrinsics() {
+        if (!this.intrinsics) {
+            const width = this.frame.cols;
+            const height = this.frame.rows;
+            const injected = this.calibration?.width === width && this.calibration?.height === height;
+            const saved = injected ? this.calibration : loadCalibration(width, height);
+            
+            // Without calibration use the same focal length guess as AREngine
+            this.intrinsics = saved
+                ? { fx: saved.fx, fy: saved.fy, cx: saved.cx, cy: saved.cy, width, height }
+                : { fx: width, fy: width, cx: width / 2, cy: height / 2, width, height };
+        }
+        
+        return this.intrinsics;
+    }
+
+    setCalibration(calibration) {
+        this.calibration = calibration;
+        this.reloadCalibration();
+    }
+
+    reloadCalibration() {
+        this.intrinsics = null;
+    }
+
+    /**
+     * Image targets are matched by ORB descriptors, which optical flow doesn't compute
+     */
+    setImageTarget(target) {
+        if (target) {
+            throw new Error('Optical flow can\'t track image targets - use the ORB or hybrid engine');
+        }
+    }
+
+    /**
+     * The only world distance is the camera height, which a measured scale corrects
+     * @param {number} factor - New world units per old one
+     */
+    setWorldScale(factor) {
+        this.settings.cameraHeight *= factor;
+        
+        if (this.currentPose) {
+            this.currentPose = scalePosition(this.currentPose, factor);
+        }
     }
 
     drawDebug(result) {
@@ -460,17 +577,21 @@ export class AREngineSimple {
 
     setDebugVisible(visible) {
         this.showDebug = visible;
-        if (this.debugCanvas) {
-            this.debugCanvas.classList.toggle('visible', visible);
-        }
+        
+        // An OffscreenCanvas has no classList; its element is toggled on the main thread
+        this.debugCanvas?.classList?.toggle('visible', visible);
     }
 
     updateSettings(settings) {
         Object.assign(this.settings, settings);
     }
 
-    reset() {
+    reset(options = {}) {
         console.log('[AREngine] Resetting...');
+        if (options.forget) {
+            this.orientationFilter.reset();
+        }
+        
         this.isTracking = false;
         this.trackedPoints = [];
         this.goodFeatures = [];
@@ -478,25 +599,27 @@ export class AREngineSimple {
         this.groundPlane = null;
         this.planeConfidence = 0;
         this.frameCount = 0;
+        this.trackingState.reset();
         
         if (this.prevPoints && this.prevPoints.rows > 0) {
-            this.prevPoints.delete();
-            this.prevPoints = new cv.Mat();
+            this.mats.free(this.prevPoints);
+            this.prevPoints = this.mats.mat();
         }
         
         if (this.prevGrayFrame && this.prevGrayFrame.rows > 0) {
-            this.prevGrayFrame.delete();
-            this.prevGrayFrame = new cv.Mat();
+            this.mats.free(this.prevGrayFrame);
+            this.prevGrayFrame = this.mats.mat();
         }
     }
 
     dispose() {
-        this.frame?.delete();
-        this.grayFrame?.delete();
-        this.prevGrayFrame?.delete();
-        this.prevPoints?.delete();
-        this.nextPoints?.delete();
-        this.status?.delete();
-        this.err?.delete();
+        this.mats.release();
+        this.lightEstimator.dispose();
+        
+        // The app swaps engines at runtime; a disposed one must stop listening
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('deviceorientation', this.onDeviceOrientation);
+            window.removeEventListener('devicemotion', this.onDeviceMotion);
+        }
     }
 }
@@ -0,0 +1,390 @@
+/**
+ * Camera Calibration - Checkerboard intrinsics calibration
+ * Captures checkerboard views, solves for focal length, principal point and
+ * lens distortion, and persists the result per device and resolution
+ */
+
+const STORAGE_PREFIX = 'ar-calibration';
+
+function deviceId() {
+    // No stable hardware id on the web - the user agent identifies the model well enough
+    const ua = navigator.userAgent || 'unknown';
+    let hash = 5381;
+    for (let i = 0; i < ua.length; i++) {
+        hash = ((hash << 5) + hash + ua.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+function storageKey(width, height) {
+    return `${STORAGE_PREFIX}:${deviceId()}:${width}x${height}`;
+}
+
+/**
+ * Saved intrinsics for this device at the given video resolution
+ * @returns {{fx, fy, cx, cy, distCoeffs: number[], rms: number}|null}
+ */
+export function loadCalibration(width, height) {
+    // Workers have no localStorage; they receive calibration from the main thread
+    if (typeof localStorage === 'undefined') return null;
+
+    try {
+        const stored = localStorage.getItem(storageKey(width, height));
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.warn('[Calibration] Could not read saved calibration:', error);
+        return null;
+    }
+}
+
+export function saveCalibration(width, height, calibration) {
+    localStorage.setItem(storageKey(width, height), JSON.stringify(calibration));
+}
+
+export function clearCalibration(width, height) {
+    localStorage.removeItem(storageKey(width, height));
+}
+
+export class CameraCalibrator {
+    constructor() {
+        this.views = [];
+        this.imageSize = null;
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        this.settings = {
+            cols: 9,             // Inner corners per row
+            rows: 6,             // Inner corners per column
+            squareSize: 0.025,   // Square edge length (meters)
+            minViews: 8
+        };
+    }
+
+    get viewCount() {
+        return this.views.length;
+    }
+
+    get canCalibrate() {
+        return this.views.length >= this.settings.minViews;
+    }
+
+    updateSettings(settings) {
+        Object.assign(this.settings, settings);
+        this.views = [];
+    }
+
+    /**
+     * Grab the current video frame and look for the checkerboard
+     * @returns {boolean} Whether the board was found and the view kept
+     */
+    captureView(video) {
+        const width = video.videoWidth;
+        const height = video.videoHeight;
+
+        // Views from different resolutions can't be mixed
+        if (this.imageSize && (this.imageSize.width !== width || this.imageSize.height !== height)) {
+            this.views = [];
+        }
+        this.imageSize = { width, height };
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.drawImage(video, 0, 0);
+
+        const rgba = cv.matFromImageData(this.ctx.getImageData(0, 0, width, height));
+        const gray = new cv.Mat();
+
+        try {
+            cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+            const corners = findChessboardCorners(gray, this.settings.cols, this.settings.rows);
+
+            if (!corners) {
+                return false;
+            }
+
+            this.views.push(corners);
+            console.log(`[Calibration] View ${this.views.length} captured`);
+            return true;
+        } finally {
+            rgba.delete();
+            gray.delete();
+        }
+    }
+
+    /**
+     * Solve for the intrinsics from the captured views
+     * @returns {{fx, fy, cx, cy, distCoeffs: number[], rms: number, width, height}}
+     */
+    calibrate() {
+        if (!this.canCalibrate) {
+            throw new Error(`Need at least ${this.settings.minViews} views`);
+        }
+
+        const { cols, rows, squareSize } = this.settings;
+        const board = [];
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                board.push(c * squareSize, r * squareSize, 0);
+            }
+        }
+
+        const objectPoints = new cv.MatVector();
+        const imagePoints = new cv.MatVector();
+        const allocated = [];
+
+        for (const corners of this.views) {
+            const obj = cv.matFromArray(cols * rows, 1, cv.CV_32FC3, board);
+            const img = cv.matFromArray(cols * rows, 1, cv.CV_32FC2, corners);
+            objectPoints.push_back(obj);
+            imagePoints.push_back(img);
+            allocated.push(obj, img);
+        }
+
+        const { width, height } = this.imageSize;
+        const cameraMatrix = cv.matFromArray(3, 3, cv.CV_64F, [
+            width, 0, width / 2,
+            0, width, height / 2,
+            0, 0, 1
+        ]);
+        const distCoeffs = cv.Mat.zeros(5, 1, cv.CV_64F);
+        const rvecs = new cv.MatVector();
+        const tvecs = new cv.MatVector();
+        const stdIntrinsics = new cv.Mat();
+        const stdExtrinsics = new cv.Mat();
+        const perViewErrors = new cv.Mat();
+
+        try {
+            // The stock OpenCV.js build exposes calibrateCameraExtended only
+            const rms = cv.calibrateCameraExtended(
+                objectPoints, imagePoints, new cv.Size(width, height),
+                cameraMatrix, distCoeffs, rvecs, tvecs,
+                stdIntrinsics, stdExtrinsics, perViewErrors,
+                cv.CALIB_USE_INTRINSIC_GUESS,
+                new cv.TermCriteria(cv.TermCriteria_COUNT + cv.TermCriteria_EPS, 30, 1e-6)
+            );
+
+            const K = cameraMatrix.data64F;
+            return {
+                fx: K[0],
+                fy: K[4],
+                cx: K[2],
+                cy: K[5],
+                distCoeffs: Array.from(distCoeffs.data64F),
+                rms,
+                width,
+                height,
+                views: this.views.length,
+                date: new Date().toISOString()
+            };
+        } finally {
+            allocated.forEach(mat => mat.delete());
+            objectPoints.delete();
+            imagePoints.delete();
+            cameraMatrix.delete();
+            distCoeffs.delete();
+            rvecs.delete();
+            tvecs.delete();
+            stdIntrinsics.delete();
+            stdExtrinsics.delete();
+            perViewErrors.delete();
+        }
+    }
+
+    reset() {
+        this.views = [];
+        this.imageSize = null;
+    }
+}
+
+/**
+ * Locate the inner corners of a checkerboard, row by row
+ * Uses cv.findChessboardCorners when the loaded OpenCV.js build has it,
+ * otherwise pairs up the corners of the dark squares found as contours
+ * @returns {number[]|null} Flat [x0, y0, x1, y1, ...] or null if not found
+ */
+export function findChessboardCorners(gray, cols, rows) {
+    if (typeof cv.findChessboardCorners === 'function') {
+        const corners = new cv.Mat();
+        try {
+            const found = cv.findChessboardCorners(gray, new cv.Size(cols, rows), corners);
+            return found ? Array.from(corners.data32F) : null;
+        } finally {
+            corners.delete();
+        }
+    }
+
+    const quads = findDarkQuads(gray);
+    const points = pairQuadCorners(quads);
+
+    if (points.length !== cols * rows) {
+        return null;
+    }
+
+    return orderGrid(points, cols, rows);
+}
+
+function findDarkQuads(gray) {
+    const binary = new cv.Mat();
+    const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+    const contours = new cv.MatVector();
+    const hierarchy = new cv.Mat();
+    const quads = [];
+
+    try {
+        // Dark squares become white blobs; erosion splits squares touching at corners
+        const blockSize = Math.max(3, (Math.round(Math.min(gray.cols, gray.rows) / 10) | 1));
+        cv.adaptiveThreshold(gray, binary, 255, cv.ADAPTIVE_THRESH_MEAN_C, cv.THRESH_BINARY_INV, blockSize, 10);
+        cv.erode(binary, binary, kernel, new cv.Point(-1, -1), 2);
+        cv.findContours(binary, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+        for (let i = 0; i < contours.size(); i++) {
+            const contour = contours.get(i);
+            const approx = new cv.Mat();
+            const area = cv.contourArea(contour);
+
+            if (area > 40) {
+                cv.approxPolyDP(contour, approx, cv.arcLength(contour, true) * 0.05, true);
+
+                if (approx.rows === 4 && cv.isContourConvex(approx)) {
+                    const d = approx.data32S;
+                    quads.push({
+                        area,
+                        corners: [
+                            { x: d[0], y: d[1] }, { x: d[2], y: d[3] },
+                            { x: d[4], y: d[5] }, { x: d[6], y: d[7] }
+                        ]
+                    });
+                }
+            }
+
+            approx.delete();
+            contour.delete();
+        }
+    } finally {
+        binary.delete();
+        kernel.delete();
+        contours.delete();
+        hierarchy.delete();
+    }
+
+    // Board squares all have a similar size
+    if (quads.length === 0) return quads;
+    const areas = quads.map(q => q.area).sort((a, b) => a - b);
+    const median = areas[Math.floor(areas.length / 2)];
+    return quads.filter(q => q.area > median * 0.25 && q.area < median * 4);
+}
+
+function pairQuadCorners(quads) {
+    const points = [];
+
+    // An inner corner is where corners of two diagonal dark squares meet
+    for (let a = 0; a < quads.length; a++) {
+        const maxDist = Math.sqrt(quads[a].area) * 0.5;
+
+        for (const ca of quads[a].corners) {
+            for (let b = a + 1; b < quads.length; b++) {
+                for (const cb of quads[b].corners) {
+                    if (Math.hypot(ca.x - cb.x, ca.y - cb.y) < maxDist) {
+                        points.push({ x: (ca.x + cb.x) / 2, y: (ca.y + cb.y) / 2 });
+                    }
+                }
+            }
+        }
+    }
+
+    return points;
+}
+
+function orderGrid(points, cols, rows) {
+    const outline = boardOutline(points);
+    if (!outline) return null;
+
+    // Try both ways of laying the pattern onto the outline
+    const layouts = [
+        [[0, 0], [cols - 1, 0], [cols - 1, rows - 1], [0, rows - 1]],
+        [[0, 0], [0, rows - 1], [cols - 1, rows - 1], [cols - 1, 0]]
+    ];
+
+    for (const layout of layouts) {
+        const src = cv.matFromArray(4, 1, cv.CV_32FC2, layout.flat());
+        const dst = cv.matFromArray(4, 1, cv.CV_32FC2, outline.flatMap(p => [p.x, p.y]));
+        const H = cv.getPerspectiveTransform(src, dst);
+        const h = Array.from(H.data64F);
+        src.delete();
+        dst.delete();
+        H.delete();
+
+        const ordered = assignGrid(points, h, cols, rows);
+        if (ordered) return ordered;
+    }
+
+    return null;
+}
+
+function assignGrid(points, h, cols, rows) {
+    const project = (c, r) => {
+        const w = h[6] * c + h[7] * r + h[8];
+        return {
+            x: (h[0] * c + h[1] * r + h[2]) / w,
+            y: (h[3] * c + h[4] * r + h[5]) / w
+        };
+    };
+
+    const ordered = [];
+    const used = new Set();
+
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const expected = project(c, r);
+            const neighbour = project(c + 1, r);
+            let bestDist = Math.hypot(neighbour.x - expected.x, neighbour.y - expected.y) * 0.4;
+            let best = -1;
+
+            points.forEach((p, i) => {
+                const dist = Math.hypot(p.x - expected.x, p.y - expected.y);
+                if (dist < bestDist && !used.has(i)) {
+                    bestDist = dist;
+                    best = i;
+                }
+            });
+
+            if (best < 0) return null;
+            used.add(best);
+            ordered.push(points[best].x, points[best].y);
+        }
+    }
+
+    return ordered;
+}
+
+function boardOutline(points) {
+    const mat = cv.matFromArray(points.length, 1, cv.CV_32FC2, points.flatMap(p => [p.x, p.y]));
+    const hull = new cv.Mat();
+    const approx = new cv.Mat();
+
+    try {
+        cv.convexHull(mat, hull, false, true);
+        const perimeter = cv.arcLength(hull, true);
+
+        for (let eps = 0.02; eps < 0.2; eps += 0.02) {
+            cv.approxPolyDP(hull, approx, perimeter * eps, true);
+            if (approx.rows === 4) break;
+        }
+
+        if (approx.rows !== 4) return null;
+
+        const d = approx.data32F;
+        const corners = [0, 1, 2, 3].map(i => ({ x: d[i * 2], y: d[i * 2 + 1] }));
+
+        // Start from the top-left corner
+        let start = 0;
+        corners.forEach((p, i) => {
+            if (p.x + p.y < corners[start].x + corners[start].y) start = i;
+        });
+        return [0, 1, 2, 3].map(i => corners[(start + i) % 4]);
+    } finally {
+        mat.delete();
+        hull.delete();
+        approx.delete();
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Coordinate Transform - Maps points between the spaces the app works in
+ * on the main thread; the engines scale their own working frames
+ * - video: pixels of the camera frame the engine processed (pose.planeCenter,
+ *   plane points, the debug canvas)
+ * - screen: CSS pixels from the top-left corner of #camera-feed, which shows the
+ *   video scaled and cropped by object-fit: cover
+ * - ndc: Three.js normalized device coordinates, -1 to 1 with y up
+ *
+ * Frame sizes are passed along with video points where the frame they were
+ * measured in may differ from the one on screen: a worker result arrives a
+ * frame late, and turning the phone swaps the stream's width and height a
+ * moment after the screen's.
+ *
+ * Emits 'change' when the video or the view changes size.
+ */
+
+/**
+ * @typedef {{width: number, height: number}} FrameSize - e.g. pose.intrinsics
+ * @typedef {{x: number, y: number, width: number, height: number, scale: number}} DisplayRect -
+ *   Where a frame is drawn on screen (may extend past it) and its screen pixels per frame pixel
+ */
+
+export class CoordinateTransform extends EventTarget {
+    /**
+     * @param {HTMLVideoElement} video - #camera-feed
+     */
+    constructor(video) {
+        super();
+
+        this.video = video;
+        this.videoWidth = 0;
+        this.videoHeight = 0;
+        this.viewLeft = 0;
+        this.viewTop = 0;
+        this.viewWidth = window.innerWidth;
+        this.viewHeight = window.innerHeight;
+
+        // Lives as long as the page, like the video it measures
+        const onLayoutChange = () => this.update();
+        video.addEventListener('resize', onLayoutChange);
+        video.addEventListener('loadedmetadata', onLayoutChange);
+        window.addEventListener('resize', onLayoutChange);
+        screen.orientation?.addEventListener('change', onLayoutChange);
+
+        this.update();
+    }
+
+    /**
+     * Read the video and view sizes again
+     */
+    update() {
+        const rect = this.video.getBoundingClientRect();
+        const next = {
+            videoWidth: this.video.videoWidth,
+            videoHeight: this.video.videoHeight,
+            viewLeft: rect.left,
+            viewTop: rect.top,
+            // A hidden element has no box yet; it fills the window once shown
+            viewWidth: rect.width || window.innerWidth,
+            viewHeight: rect.height || window.innerHeight
+        };
+
+        if (Object.keys(next).every(key => this[key] === next[key])) return;
+
+        Object.assign(this, next);
+        this.updateVideoRect();
+        this.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Displayed video rect as CSS variables on #camera-feed's parent, so
+     * overlays in video pixels (the debug canvas) can be laid over it
+     */
+    updateVideoRect() {
+        const container = this.video.parentElement;
+        if (!container || this.videoWidth === 0) return;
+
+        const { x, y, width, height } = this.displayRect();
+        container.style.setProperty('--video-left', `${x}px`);
+        container.style.setProperty('--video-top', `${y}px`);
+        container.style.setProperty('--video-width', `${width}px`);
+        container.style.setProperty('--video-height', `${height}px`);
+    }
+
+    /**
+     * @param {FrameSize} [frame] - Size of the frame; defaults to the video's
+     * @returns {DisplayRect}
+     */
+    displayRect(frame = this.videoSize) {
+        const width = frame.width || this.viewWidth;
+        const height = frame.height || this.viewHeight;
+        const scale = Math.max(this.viewWidth / width, this.viewHeight / height);
+
+        return {
+            x: (this.viewWidth - width * scale) / 2,
+            y: (this.viewHeight - height * scale) / 2,
+            width: width * scale,
+            height: height * scale,
+            scale
+        };
+    }
+
+    get videoSize() {
+        return { width: this.videoWidth, height: this.videoHeight };
+    }
+
+    get viewSize() {
+        return { width: this.viewWidth, height: this.viewHeight };
+    }
+
+    videoToScreen(point, frame) {
+        const { x, y, scale } = this.displayRect(frame);
+        return { x: x + point.x * scale, y: y + point.y * scale };
+    }
+
+    screenToVideo(point, frame) {
+        const { x, y, scale } = this.displayRect(frame);
+        return { x: (point.x - x) / scale, y: (point.y - y) / scale };
+    }
+
+    screenToNdc(point) {
+        return {
+            x: (point.x / this.viewWidth) * 2 - 1,
+            y: -(point.y / this.viewHeight) * 2 + 1
+        };
+    }
+
+    videoToNdc(point, frame) {
+        return this.screenToNdc(this.videoToScreen(point, frame));
+    }
+
+    /**
+     * Screen point of a pointer or touch event
+     */
+    clientToScreen(clientX, clientY) {
+        return { x: clientX - this.viewLeft, y: clientY - this.viewTop };
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * CV Memory - Ownership and leak counters for OpenCV objects
+ * Mats, vectors, detectors and matchers live on the WASM heap and are only
+ * freed by delete(). A MatScope owns the objects allocated through it and
+ * deletes them together; a MatPool hands out same-shaped Mats again instead of
+ * reallocating them every frame. Both keep one count of live objects per
+ * thread, reported with every tracking result for the debug panel.
+ */
+
+const counts = {
+    live: 0,
+    peak: 0
+};
+
+function counted(object) {
+    counts.live++;
+    counts.peak = Math.max(counts.peak, counts.live);
+    return object;
+}
+
+function destroy(object) {
+    if (!object.isDeleted()) {
+        object.delete();
+    }
+    counts.live--;
+}
+
+/**
+ * @returns {{live: number, peak: number}} OpenCV objects owned by scopes and pools
+ */
+export function memoryStats() {
+    return { ...counts };
+}
+
+export class MatScope {
+    constructor() {
+        this.objects = new Set();
+    }
+
+    /**
+     * Take ownership of an OpenCV object, e.g. the Mat returned by cv.findHomography()
+     */
+    track(object) {
+        if (!this.objects.has(object)) {
+            this.objects.add(counted(object));
+        }
+        return object;
+    }
+
+    /**
+     * new cv.Mat(...args), owned by this scope
+     */
+    mat(...args) {
+        return this.track(new cv.Mat(...args));
+    }
+
+    fromArray(rows, cols, type, data) {
+        return this.track(cv.matFromArray(rows, cols, type, data));
+    }
+
+    /**
+     * Delete one object early, e.g. a member about to be replaced
+     */
+    free(object) {
+        if (object && this.objects.delete(object)) {
+            destroy(object);
+        }
+    }
+
+    /**
+     * Delete everything this scope owns; the scope can be reused afterwards
+     */
+    release() {
+        for (const object of this.objects) {
+            destroy(object);
+        }
+        this.objects.clear();
+    }
+}
+
+/**
+ * Run fn(scope) and delete whatever it allocated through the scope, even if it throws
+ */
+export function withScope(fn) {
+    const scope = new MatScope();
+
+    try {
+        return fn(scope);
+    } finally {
+        scope.release();
+    }
+}
+
+export class MatPool {
+    /**
+     * @param {number} [maxFree] - Released Mats kept for reuse; the oldest are deleted beyond this
+     */
+    constructor(maxFree = 16) {
+        this.maxFree = maxFree;
+        this.available = [];
+        this.owned = new MatScope();
+    }
+
+    /**
+     * A Mat of this shape and type, reused if one was released. Its contents are undefined.
+     */
+    acquire(rows, cols, type) {
+        for (let i = this.available.length - 1; i >= 0; i--) {
+            const mat = this.available[i];
+            if (mat.rows === rows && mat.cols === cols && mat.type() === type) {
+                this.available.splice(i, 1);
+                return mat;
+            }
+        }
+
+        return this.owned.mat(rows, cols, type);
+    }
+
+    /**
+     * Return a Mat for reuse. OpenCV may have reshaped it; it's pooled under its current shape.
+     */
+    release(mat) {
+        if (!mat) return;
+
+        this.available.push(mat);
+        if (this.available.length > this.maxFree) {
+            this.owned.free(this.available.shift());
+        }
+    }
+
+    /**
+     * Delete every Mat of the pool, including ones still acquired
+     */
+    clear() {
+        this.owned.release();
+        this.available = [];
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Engine Monitor - Watches tracking speed and quality to trigger an engine fallback
+ * Looks at a sliding window of processed frames and reports when the current
+ * engine is too slow for the device or keeps failing to track
+ */
+
+export class EngineMonitor {
+    constructor() {
+        this.settings = {
+            minFps: 12,            // Frames the engine can process per second
+            minTrackingRate: 0.3,  // Share of textured frames that must track
+            period: 5000,          // ms of frames to judge over
+            warmup: 3000           // ms ignored after a (re)start while the engine settles
+        };
+
+        this.reset(performance.now());
+    }
+
+    reset(now) {
+        this.startTime = now;
+        this.frames = [];
+        this.lastResult = null;
+    }
+
+    /**
+     * @param {Object} result - Tracking result of the current frame
+     * @param {number} cost - ms the engine spent on the frame
+     * @param {number} now - performance.now()
+     * @returns {'fps'|'quality'|null} Why the engine should be replaced, if it should
+     */
+    update(result, cost, now) {
+        // A worker engine hands back the same result until the next frame is done
+        if (result === this.lastResult) return null;
+        this.lastResult = result;
+
+        const { minFps, minTrackingRate, period, warmup } = this.settings;
+        if (now - this.startTime < warmup) return null;
+
+        this.frames.push({ time: now, cost, hasFeatures: result.hasFeatures, isTracking: result.isTracking });
+        while (this.frames[0].time < now - period) {
+            this.frames.shift();
+        }
+
+        // Judge only a full window
+        if (now - this.startTime < warmup + period || this.frames.length < 10) return null;
+
+        const meanCost = this.frames.reduce((sum, frame) => sum + frame.cost, 0) / this.frames.length;
+        if (1000 / meanCost < minFps) return 'fps';
+
+        // Featureless views (blank wall, covered lens) aren't the engine's fault
+        const textured = this.frames.filter(frame => frame.hasFeatures);
+        if (textured.length >= this.frames.length / 2) {
+            const tracked = textured.filter(frame => frame.isTracking).length;
+            if (tracked / textured.length < minTrackingRate) return 'quality';
+        }
+
+        return null;
+    }
+}
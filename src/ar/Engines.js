@@ -0,0 +1,128 @@
+/**
+ * Tracking Engines - The interface every engine implements and how one is chosen
+ * AREngine (ORB features), AREngineHybrid (ORB keyframes + optical flow),
+ * AREngineSimple (optical flow) and WorkerEngine (any of them in a Web Worker)
+ * are interchangeable behind this interface
+ */
+
+import { AREngine } from './AREngine.js';
+import { AREngineHybrid } from './AREngineHybrid.js';
+import { AREngineSimple } from './AREngineSimple.js';
+
+const STORAGE_KEY = 'ar-engine-type';
+
+/**
+ * @typedef {Object} TrackingEngine
+ * @property {Object} settings - Tunables, changed through updateSettings()
+ * @property {{alpha: number, beta: number, gamma: number}} imuData - Latest deviceorientation reading
+ * @property {boolean} isTracking
+ * @property {TrackingStateMachine} trackingState - Emits 'change' events
+ * @property {Object|null} currentPose - Pose of the last tracked frame
+ * @property {() => Promise<void>} init
+ * @property {(source: HTMLVideoElement|ImageBitmap|ImageData) => Object} processFrame - Tracking result;
+ *   WorkerEngine returns the latest one until the next arrives, with capturedAt, the
+ *   performance.now() its frame was captured at
+ * @property {(sample: Object) => void} addMotionSample - From motionSample()
+ * @property {(settings: Object) => void} updateSettings
+ * @property {(visible: boolean) => void} setDebugVisible
+ * @property {() => void} reloadCalibration
+ * @property {(target: Object|null) => void|Promise<void>} setImageTarget - See ImageTarget.setTarget();
+ *   throws or rejects if the image has too little detail
+ * @property {(factor: number) => void} setWorldScale - Multiply world distances by factor,
+ *   e.g. to make them meters; also scales the camera height later world frames start at
+ * @property {(options?: {forget?: boolean}) => void} reset
+ * @property {() => void} dispose - Frees OpenCV memory and IMU listeners
+ */
+export const ENGINE_METHODS = [
+    'init',
+    'processFrame',
+    'addMotionSample',
+    'updateSettings',
+    'setDebugVisible',
+    'reloadCalibration',
+    'setImageTarget',
+    'setWorldScale',
+    'reset',
+    'dispose'
+];
+
+/**
+ * Engines by type; fallback names the engine to switch to for each EngineMonitor reason,
+ * imageTargets whether it has the ORB descriptors to find an image target
+ */
+export const ENGINE_TYPES = {
+    orb: {
+        label: 'ORB Features',
+        EngineClass: AREngine,
+        fallback: { fps: 'hybrid' }, // Same pipeline, ORB only on keyframes
+        imageTargets: true
+    },
+    hybrid: {
+        label: 'Hybrid (ORB + Flow)',
+        EngineClass: AREngineHybrid,
+        fallback: { fps: 'lk' }, // Optical flow alone is cheaper still
+        imageTargets: true
+    },
+    lk: {
+        label: 'Optical Flow',
+        EngineClass: AREngineSimple,
+        fallback: { quality: 'hybrid' }, // ORB descriptors recover from fast motion
+        imageTargets: false
+    }
+};
+
+export const DEFAULT_ENGINE_TYPE = 'orb';
+
+export function isEngineType(type) {
+    return Object.hasOwn(ENGINE_TYPES, type);
+}
+
+/**
+ * Throws if an engine is missing part of the TrackingEngine interface
+ */
+export function assertEngine(engine) {
+    const missing = ENGINE_METHODS.filter(method => typeof engine[method] !== 'function');
+
+    if (missing.length > 0) {
+        throw new Error(`${engine.constructor.name} does not implement ${missing.join(', ')}`);
+    }
+    return engine;
+}
+
+/**
+ * Engine running on the current thread (main thread, worker or Node)
+ * @param {'orb'|'hybrid'|'lk'} type
+ * @param {Object} [options] - Passed to the engine constructor
+ * @returns {TrackingEngine}
+ */
+export function createLocalEngine(type, options) {
+    if (!isEngineType(type)) {
+        throw new Error(`Unknown engine type: ${type}`);
+    }
+
+    return assertEngine(new ENGINE_TYPES[type].EngineClass(options));
+}
+
+/**
+ * Engine to start with: ?engine= in the URL, else the last choice in the settings panel
+ */
+export function loadEngineType() {
+    const requested = new URLSearchParams(location.search).get('engine');
+    if (requested !== null) {
+        if (isEngineType(requested)) return requested;
+        console.warn(`[Engines] Unknown engine "${requested}" in URL, expected ${Object.keys(ENGINE_TYPES).join(' or ')}`);
+    }
+
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (isEngineType(saved)) return saved;
+    } catch (error) {
+        console.warn('[Engines] Could not read saved engine choice:', error);
+    }
+
+    return DEFAULT_ENGINE_TYPE;
+}
+
+export function saveEngineType(type) {
+    localStorage.setItem(STORAGE_KEY, type);
+}
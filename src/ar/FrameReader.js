@@ -0,0 +1,91 @@
+/**
+ * Frame Reader - Gets RGBA pixels out of any frame source
+ * Works with video elements and ImageBitmaps (drawn through one reused
+ * canvas) and passes ImageData through, on the main thread or in a worker.
+ * Also makes the grayscale working frame the engines track on, which may be
+ * a downsampled copy of the camera frame.
+ */
+
+import { withScope } from './CvMemory.js';
+
+export function frameSize(source) {
+    return {
+        width: source.videoWidth ?? source.width,
+        height: source.videoHeight ?? source.height
+    };
+}
+
+export class FrameReader {
+    constructor() {
+        this.canvas = null;
+        this.ctx = null;
+    }
+
+    /**
+     * @param {HTMLVideoElement|ImageBitmap|ImageData} source
+     * @returns {ImageData}
+     */
+    read(source) {
+        // Already raw pixels
+        if (source.data) {
+            return source;
+        }
+
+        const { width, height } = frameSize(source);
+
+        if (!this.canvas) {
+            this.canvas = typeof OffscreenCanvas !== 'undefined'
+                ? new OffscreenCanvas(width, height)
+                : document.createElement('canvas');
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        this.ctx.drawImage(source, 0, 0);
+        return this.ctx.getImageData(0, 0, width, height);
+    }
+}
+
+/**
+ * Grayscale copy of an RGBA camera frame at the working resolution
+ * @param {cv.Mat} rgba - Camera frame
+ * @param {cv.Mat} gray - Output
+ * @param {number} scale - Working / camera resolution; 1 converts without resizing
+ * @param {cv.Mat} scratch - Full-resolution grayscale buffer, used when downsampling
+ * @returns {number} Working / camera width after rounding to whole pixels
+ */
+export function toWorkingGray(rgba, gray, scale, scratch) {
+    if (scale >= 1) {
+        cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+        return 1;
+    }
+
+    const width = Math.max(1, Math.round(rgba.cols * scale));
+    const height = Math.max(1, Math.round(rgba.rows * scale));
+
+    cv.cvtColor(rgba, scratch, cv.COLOR_RGBA2GRAY);
+    cv.resize(scratch, gray, new cv.Size(width, height), 0, 0, cv.INTER_AREA);
+    return width / rgba.cols;
+}
+
+/**
+ * Resize the previous working frame to the current one after the working resolution changed
+ * @returns {number} Factor for point coordinates measured in the previous frame (1 if unchanged)
+ */
+export function matchWorkingSize(prevGray, gray) {
+    if (prevGray.rows === 0 || (prevGray.cols === gray.cols && prevGray.rows === gray.rows)) {
+        return 1;
+    }
+
+    const ratio = gray.cols / prevGray.cols;
+    withScope(scope => {
+        const resized = scope.mat();
+        cv.resize(prevGray, resized, new cv.Size(gray.cols, gray.rows), 0, 0, cv.INTER_LINEAR);
+        resized.copyTo(prevGray);
+    });
+    return ratio;
+}
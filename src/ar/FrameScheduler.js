@@ -0,0 +1,106 @@
+/**
+ * Frame Scheduler - Keeps tracking within a per-frame time budget
+ * While frames cost more than the budget it lowers the engine's working
+ * resolution step by step; at the lowest one it tracks only every n-th
+ * animation frame so the average cost per frame fits. When frames get cheap
+ * again it stops skipping first, then raises the resolution.
+ */
+
+/**
+ * ms of tracking per animation frame: on the main thread the engine shares
+ * the frame with rendering, in a worker it only has to keep up with the camera
+ */
+export const FRAME_BUDGET = {
+    mainThread: 20,
+    worker: 33
+};
+
+export class FrameScheduler {
+    constructor() {
+        this.settings = {
+            budget: FRAME_BUDGET.mainThread,
+            scales: [1, 0.75, 0.5, 0.375], // Working / camera resolution, from best to cheapest
+            minWidth: 320,     // Smallest working width; below it too few features are found
+            maxInterval: 4,    // Track at least every n-th frame
+            headroom: 0.7,     // Step back up only if the predicted cost stays below this share of the budget
+            smoothing: 0.2,    // Weight of the newest frame in the average cost
+            holdTime: 1000     // ms after a change before the next, so its effect can be measured
+        };
+
+        this.reset(performance.now());
+    }
+
+    reset(now) {
+        this.level = 0; // Index into settings.scales
+        this.interval = 1; // Track every n-th frame
+        this.tick = 0;
+        this.averageCost = null;
+        this.lastChange = now;
+        this.lastResult = null;
+    }
+
+    get scale() {
+        return this.settings.scales[this.level];
+    }
+
+    /**
+     * Whether to track this animation frame; call once per frame
+     */
+    shouldProcess() {
+        return this.tick++ % this.interval === 0;
+    }
+
+    /**
+     * @param {Object} result - Tracking result of the frame
+     * @param {number} cost - ms the engine spent on it
+     * @param {number} now - performance.now()
+     * @param {number} frameWidth - Camera frame width, for settings.minWidth
+     * @returns {boolean} Whether the scale or the interval changed
+     */
+    update(result, cost, now, frameWidth) {
+        // A worker engine hands back the same result until the next frame is done
+        if (result === this.lastResult) return false;
+        this.lastResult = result;
+
+        const { budget, scales, minWidth, maxInterval, headroom, smoothing, holdTime } = this.settings;
+        this.averageCost = this.averageCost === null
+            ? cost
+            : this.averageCost + smoothing * (cost - this.averageCost);
+
+        if (now - this.lastChange < holdTime) return false;
+
+        const level = this.level;
+        const interval = this.interval;
+        const canShrink = level + 1 < scales.length && frameWidth * scales[level + 1] >= minWidth;
+
+        if (this.averageCost > budget && canShrink) {
+            this.setLevel(level + 1);
+        } else if (this.averageCost > budget) {
+            // Nothing left to downsample: spread the cost over several frames
+            this.interval = Math.min(maxInterval, Math.ceil(this.averageCost / budget));
+        } else if (interval > 1) {
+            if (this.averageCost / (interval - 1) < budget * headroom) {
+                this.interval--;
+            }
+        } else if (level > 0 && this.predictCost(level - 1) < budget * headroom) {
+            this.setLevel(level - 1);
+        }
+
+        if (this.level === level && this.interval === interval) return false;
+
+        this.lastChange = now;
+        return true;
+    }
+
+    /**
+     * Cost at another level, assuming it grows with the pixel count
+     */
+    predictCost(level) {
+        return this.averageCost * (this.settings.scales[level] / this.scale) ** 2;
+    }
+
+    setLevel(level) {
+        this.averageCost = this.predictCost(level);
+        this.level = level;
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * Image Target - Anchors the world to a printed reference image
+ * For sites whose ground has too little texture to track: ORB features of an
+ * uploaded image (a printed floor plan, a site board) are matched against each
+ * frame, a RANSAC homography keeps the matches that lie on the printout, and
+ * PnP on its known physical size gives a metric camera pose.
+ *
+ * World frame of a target on the floor: origin at the image centre, x to the
+ * image's right, z towards its bottom edge, y up out of the paper.
+ * On a wall: origin at the middle of the bottom edge, y up the image, z out of the wall.
+ */
+
+import { MatScope, withScope } from './CvMemory.js';
+import { FrameReader } from './FrameReader.js';
+
+const DESCRIPTOR_SIZE = 32; // ORB descriptors are 32 bytes
+
+/**
+ * Longest side of the reference image in pixels; larger uploads are
+ * downsampled first, printouts are rarely seen at more detail than this
+ */
+export const IMAGE_TARGET_SIZE = 1024;
+
+/**
+ * Decode an uploaded image into RGBA pixels for ImageTarget.setTarget()
+ * @param {Blob} file
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>}
+ */
+export async function readTargetImage(file, maxSize = IMAGE_TARGET_SIZE) {
+    const original = await createImageBitmap(file);
+    const scale = Math.min(1, maxSize / Math.max(original.width, original.height));
+    const width = Math.round(original.width * scale);
+    const height = Math.round(original.height * scale);
+
+    const bitmap = scale < 1
+        ? await createImageBitmap(original, { resizeWidth: width, resizeHeight: height, resizeQuality: 'high' })
+        : original;
+
+    const { data } = new FrameReader().read(bitmap);
+    original.close();
+    bitmap.close();
+
+    return { width, height, data };
+}
+
+/**
+ * Whether a quad turns the same way as the image corners it came from
+ * (top-left, top-right, bottom-right, bottom-left: clockwise with y down)
+ */
+function isConvexClockwise(corners) {
+    return corners.every((b, i) => {
+        const a = corners[(i + 3) % 4];
+        const c = corners[(i + 1) % 4];
+        return (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x) > 0;
+    });
+}
+
+export class ImageTarget {
+    constructor() {
+        this.target = null;
+        this.matcher = null;
+        this.mats = new MatScope(); // Matcher and target descriptors
+
+        this.settings = {
+            maxFeatures: 1000,         // ORB features taken from the reference image
+            maxDescriptorDistance: 50,
+            ransacThreshold: 3.0,      // Homography reprojection error (camera pixels)
+            minInliers: 20,
+            minInlierRatio: 0.3,
+            confidentInliers: 40       // Inliers for full pose confidence
+        };
+    }
+
+    init() {
+        this.matcher = this.mats.track(new cv.BFMatcher(cv.NORM_HAMMING, true));
+    }
+
+    get hasTarget() {
+        return this.target !== null;
+    }
+
+    /**
+     * Learn the features of a reference image
+     * @param {Object} target
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} target.image - RGBA pixels
+     * @param {number} target.physicalWidth - Printed width in meters
+     * @param {'floor'|'wall'} [target.mounting]
+     * @param {string} [target.name]
+     */
+    setTarget({ image, physicalWidth, mounting = 'floor', name = 'image target' }) {
+        if (!(physicalWidth > 0)) {
+            throw new Error('Image target needs its printed width');
+        }
+
+        const physicalHeight = physicalWidth * image.height / image.width;
+        const { points, descriptors } = withScope(scope => {
+            const rgba = scope.mat(image.height, image.width, cv.CV_8UC4);
+            const gray = scope.mat();
+            const keypoints = scope.track(new cv.KeyPointVector());
+            const features = scope.mat();
+            const orb = scope.track(new cv.ORB(this.settings.maxFeatures));
+
+            rgba.data.set(image.data);
+            cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+            orb.detectAndCompute(gray, scope.mat(), keypoints, features);
+
+            const points = [];
+            for (let i = 0; i < keypoints.size(); i++) {
+                const { pt } = keypoints.get(i);
+                points.push({ x: pt.x, y: pt.y });
+            }
+            return { points, descriptors: features.data.slice(0, features.rows * DESCRIPTOR_SIZE) };
+        });
+
+        if (points.length < this.settings.minInliers) {
+            throw new Error(`Too little detail in ${name} (${points.length} features) - use a sharper or busier image`);
+        }
+
+        // Replaced only now, so an unusable image keeps the previous target
+        this.clear();
+
+        // Meters on the printout per reference pixel
+        const metersPerPixel = physicalWidth / image.width;
+        const toWorld = mounting === 'wall'
+            ? (p) => [(p.x - image.width / 2) * metersPerPixel, (image.height - p.y) * metersPerPixel, 0]
+            : (p) => [(p.x - image.width / 2) * metersPerPixel, 0, (p.y - image.height / 2) * metersPerPixel];
+
+        this.target = {
+            name,
+            mounting,
+            physicalWidth,
+            physicalHeight,
+            size: { width: image.width, height: image.height },
+            points,
+            objectPoints: points.map(toWorld),
+            descriptors: this.mats.fromArray(points.length, DESCRIPTOR_SIZE, cv.CV_8U, descriptors)
+        };
+
+        console.log(`[ImageTarget] ${name}: ${points.length} features, ` +
+            `${physicalWidth.toFixed(2)} × ${physicalHeight.toFixed(2)} m on the ${mounting}`);
+    }
+
+    /**
+     * Find the target in a frame
+     * @param {{x: number, y: number}[]} points - Keypoint positions of the frame (camera pixels)
+     * @param {cv.Mat} descriptors - ORB descriptors, one row per point
+     * @returns {{Rcw: number[], tcw: number[], inliers: number, matches: number, center: {x, y},
+     *   corners: {x, y}[], confidence: number}|null} corners: outline of the printout in the frame
+     */
+    locate(points, descriptors, cameraMatrix, distCoeffs) {
+        if (!this.target || descriptors.rows === 0) {
+            return null;
+        }
+
+        const matched = [];
+        withScope(scope => {
+            const matches = scope.track(new cv.DMatchVector());
+            this.matcher.match(this.target.descriptors, descriptors, matches);
+
+            for (let i = 0; i < matches.size(); i++) {
+                const match = matches.get(i);
+                if (match.distance <= this.settings.maxDescriptorDistance) {
+                    matched.push({ targetIndex: match.queryIdx, index: match.trainIdx });
+                }
+            }
+        });
+
+        if (matched.length < this.settings.minInliers) {
+            return null;
+        }
+
+        const scope = new MatScope();
+
+        try {
+            // Matches off the printout don't fit its homography
+            const src = scope.fromArray(matched.length, 1, cv.CV_32FC2,
+                matched.flatMap(m => [this.target.points[m.targetIndex].x, this.target.points[m.targetIndex].y]));
+            const dst = scope.fromArray(matched.length, 1, cv.CV_32FC2,
+                matched.flatMap(m => [points[m.index].x, points[m.index].y]));
+            const mask = scope.mat();
+            const H = scope.track(cv.findHomography(src, dst, cv.RANSAC, this.settings.ransacThreshold, mask));
+
+            if (H.empty()) return null;
+
+            const inliers = matched.filter((m, i) => mask.data[i] > 0);
+            if (inliers.length < this.settings.minInliers ||
+                inliers.length / matched.length < this.settings.minInlierRatio) {
+                return null;
+            }
+
+            // A mirrored or twisted outline can't be a view of the printout
+            const corners = this.projectCorners(Array.from(H.data64F));
+            if (!isConvexClockwise(corners)) {
+                return null;
+            }
+
+            // Planar PnP on the printout's metric coordinates
+            const objectMat = scope.fromArray(inliers.length, 1, cv.CV_64FC3,
+                inliers.flatMap(m => this.target.objectPoints[m.targetIndex]));
+            const imageMat = scope.fromArray(inliers.length, 1, cv.CV_64FC2,
+                inliers.flatMap(m => [points[m.index].x, points[m.index].y]));
+            const rvec = scope.mat();
+            const tvec = scope.mat();
+            const R = scope.mat();
+
+            if (!cv.solvePnP(objectMat, imageMat, cameraMatrix, distCoeffs, rvec, tvec, false, cv.SOLVEPNP_IPPE)) {
+                return null;
+            }
+            cv.Rodrigues(rvec, R);
+
+            let sumX = 0, sumY = 0;
+            for (const m of inliers) {
+                sumX += points[m.index].x;
+                sumY += points[m.index].y;
+            }
+
+            return {
+                Rcw: Array.from(R.data64F),
+                tcw: Array.from(tvec.data64F),
+                inliers: inliers.length,
+                matches: matched.length,
+                center: { x: sumX / inliers.length, y: sumY / inliers.length },
+                corners,
+                // Most matches are off the printout whenever it fills little of the view,
+                // so the inlier count rather than the inlier ratio says how well it was seen
+                confidence: Math.min(1, inliers.length / this.settings.confidentInliers)
+            };
+        } catch (error) {
+            console.warn('[ImageTarget] Pose estimation failed:', error);
+            return null;
+        } finally {
+            scope.release();
+        }
+    }
+
+    /**
+     * Corners of the reference image mapped into the frame by the homography
+     */
+    projectCorners(H) {
+        const { width, height } = this.target.size;
+
+        return [[0, 0], [width, 0], [width, height], [0, height]].map(([x, y]) => {
+            const w = H[6] * x + H[7] * y + H[8];
+            return {
+                x: (H[0] * x + H[1] * y + H[2]) / w,
+                y: (H[3] * x + H[4] * y + H[5]) / w
+            };
+        });
+    }
+
+    clear() {
+        if (this.target) {
+            this.mats.free(this.target.descriptors);
+        }
+        this.target = null;
+    }
+
+    dispose() {
+        this.clear();
+        this.mats.release();
+    }
+}
@@ -0,0 +1,395 @@
+/**
+ * Keyframe Map - Sparse map of triangulated ORB landmarks
+ * Keyframes are chosen by parallax, matched ORB points are triangulated into
+ * 3D landmarks, and new frames are localized against the map with PnP
+ */
+
+import {
+    add,
+    dot,
+    mat3Invert,
+    mat3MultiplyVec,
+    mat3Transpose,
+    normalize,
+    scale,
+    subtract
+} from './PoseMath.js';
+import { MatScope } from './CvMemory.js';
+
+const DESCRIPTOR_SIZE = 32; // ORB descriptors are 32 bytes
+
+export class KeyframeMap {
+    constructor() {
+        this.keyframes = [];
+        this.landmarks = new Map();
+        this.nextLandmarkId = 0;
+        this.nextKeyframeId = 0;
+        this.frameIndex = 0;
+        this.mats = new MatScope(); // Matcher and landmark descriptors
+
+        // Descriptor matrix of all landmarks, rebuilt lazily
+        this.landmarkDescriptors = null;
+        this.landmarkIndex = [];
+        this.isDirty = true;
+
+        this.matcher = null;
+
+        this.settings = {
+            minKeyframeBaseline: 0.1, // Camera travel relative to scene depth
+            minParallaxDeg: 1.5,      // Min ray angle for triangulation
+            maxReprojectionError: 4.0,
+            maxDescriptorDistance: 50,
+            minTrackingInliers: 15,
+            pnpIterations: 100,
+            maxKeyframes: 40,
+            maxLandmarks: 3000
+        };
+    }
+
+    init() {
+        this.matcher = this.mats.track(new cv.BFMatcher(cv.NORM_HAMMING, true));
+    }
+
+    get landmarkCount() {
+        return this.landmarks.size;
+    }
+
+    get keyframeCount() {
+        return this.keyframes.length;
+    }
+
+    /**
+     * Localize a frame against the map
+     * @param {{x: number, y: number}[]} points - Keypoint positions of the frame
+     * @param {cv.Mat} descriptors - ORB descriptors, one row per point
+     * @returns {{Rcw: number[], tcw: number[], inliers: number, matches: number, center: {x, y},
+     *   observed: {id: number, index: number}[]}|null} observed: landmark id of each inlier point
+     */
+    track(points, descriptors, cameraMatrix, distCoeffs) {
+        this.frameIndex++;
+
+        if (this.landmarks.size < this.settings.minTrackingInliers || descriptors.rows === 0) {
+            return null;
+        }
+
+        this.rebuildDescriptors();
+
+        const scope = new MatScope();
+        const matches = scope.track(new cv.DMatchVector());
+        const matched = [];
+
+        try {
+            this.matcher.match(descriptors, this.landmarkDescriptors, matches);
+
+            for (let i = 0; i < matches.size(); i++) {
+                const match = matches.get(i);
+                if (match.distance > this.settings.maxDescriptorDistance) continue;
+
+                matched.push({ id: this.landmarkIndex[match.trainIdx], index: match.queryIdx });
+            }
+        } finally {
+            scope.release();
+        }
+
+        return this.solvePose(points, matched, cameraMatrix, distCoeffs);
+    }
+
+    /**
+     * Localize a frame whose points already know their landmarks, e.g. carried
+     * over from an earlier frame by optical flow
+     * @param {number[]} landmarkIds - Landmark id per point, -1 for none
+     * @returns {Object|null} Same as track()
+     */
+    trackObserved(points, landmarkIds, cameraMatrix, distCoeffs) {
+        this.frameIndex++;
+
+        const matched = [];
+        landmarkIds.forEach((id, index) => {
+            // Landmarks may have been pruned since the point was matched
+            if (id >= 0 && this.landmarks.has(id)) matched.push({ id, index });
+        });
+
+        return this.solvePose(points, matched, cameraMatrix, distCoeffs);
+    }
+
+    /**
+     * PnP RANSAC on point-landmark correspondences
+     * @param {{id: number, index: number}[]} matched - Landmark id for a point index
+     */
+    solvePose(points, matched, cameraMatrix, distCoeffs) {
+        if (matched.length < this.settings.minTrackingInliers) {
+            return null;
+        }
+
+        const objectPoints = [];
+        const imagePoints = [];
+        for (const { id, index } of matched) {
+            objectPoints.push(...this.landmarks.get(id).position);
+            imagePoints.push(points[index].x, points[index].y);
+        }
+
+        const scope = new MatScope();
+        const objectMat = scope.fromArray(matched.length, 1, cv.CV_64FC3, objectPoints);
+        const imageMat = scope.fromArray(matched.length, 1, cv.CV_64FC2, imagePoints);
+        const rvec = scope.mat();
+        const tvec = scope.mat();
+        const inliers = scope.mat();
+        const R = scope.mat();
+
+        try {
+            const found = cv.solvePnPRansac(
+                objectMat, imageMat, cameraMatrix, distCoeffs, rvec, tvec,
+                false, this.settings.pnpIterations, this.settings.maxReprojectionError,
+                0.99, inliers, cv.SOLVEPNP_ITERATIVE
+            );
+
+            if (!found || inliers.rows < this.settings.minTrackingInliers) {
+                return null;
+            }
+
+            cv.Rodrigues(rvec, R);
+
+            // Mark observed landmarks and find the centre of the inliers
+            const observed = [];
+            let sumX = 0, sumY = 0;
+            for (let i = 0; i < inliers.rows; i++) {
+                const match = matched[inliers.data32S[i]];
+                const landmark = this.landmarks.get(match.id);
+                landmark.lastSeen = this.frameIndex;
+                landmark.observations++;
+                sumX += points[match.index].x;
+                sumY += points[match.index].y;
+                observed.push(match);
+            }
+
+            return {
+                Rcw: Array.from(R.data64F),
+                tcw: Array.from(tvec.data64F),
+                inliers: inliers.rows,
+                matches: matched.length,
+                center: { x: sumX / inliers.rows, y: sumY / inliers.rows },
+                observed
+            };
+        } catch (error) {
+            console.warn('[KeyframeMap] PnP failed:', error);
+            return null;
+        } finally {
+            scope.release();
+        }
+    }
+
+    /**
+     * Add the frame as a keyframe if the camera moved far enough from the
+     * last one, triangulating new landmarks from the matched points
+     * @param {number[]} Rcw - World-to-camera rotation (OpenCV convention)
+     * @param {number[]} tcw - World-to-camera translation
+     * @param {number} sceneDepth - Typical distance to the scene (meters)
+     * @returns {boolean} Whether a keyframe was added
+     */
+    maybeAddKeyframe(points, descriptors, Rcw, tcw, K, sceneDepth) {
+        if (points.length === 0 || descriptors.rows === 0) {
+            return false;
+        }
+
+        const frame = this.createFrame(points, descriptors, Rcw, tcw, K);
+        const last = this.keyframes[this.keyframes.length - 1];
+
+        if (!last) {
+            this.insertKeyframe(frame);
+            return true;
+        }
+
+        const baseline = Math.sqrt(dot(subtract(frame.center, last.center), subtract(frame.center, last.center)));
+        if (baseline < this.settings.minKeyframeBaseline * sceneDepth) {
+            return false;
+        }
+
+        const created = this.triangulate(last, frame);
+        if (created === 0) {
+            return false;
+        }
+
+        this.insertKeyframe(frame);
+        console.log(`[KeyframeMap] Keyframe ${frame.id}: +${created} landmarks (${this.landmarks.size} total)`);
+        return true;
+    }
+
+    createFrame(points, descriptors, Rcw, tcw, K) {
+        const Rwc = mat3Transpose(Rcw);
+        return {
+            id: this.nextKeyframeId++,
+            points: points.map(p => ({ x: p.x, y: p.y })),
+            descriptors: descriptors.data.slice(0, descriptors.rows * DESCRIPTOR_SIZE),
+            landmarkIds: new Array(points.length).fill(-1),
+            Rcw,
+            tcw,
+            Rwc,
+            center: scale(mat3MultiplyVec(Rwc, tcw), -1),
+            Kinv: mat3Invert(K),
+            K
+        };
+    }
+
+    insertKeyframe(frame) {
+        this.keyframes.push(frame);
+
+        // Drop the oldest keyframe; its landmarks stay in the map
+        if (this.keyframes.length > this.settings.maxKeyframes) {
+            this.keyframes.shift();
+        }
+
+        this.pruneLandmarks();
+    }
+
+    triangulate(kf1, kf2) {
+        const scope = new MatScope();
+        const desc1 = scope.fromArray(kf1.points.length, DESCRIPTOR_SIZE, cv.CV_8U, kf1.descriptors);
+        const desc2 = scope.fromArray(kf2.points.length, DESCRIPTOR_SIZE, cv.CV_8U, kf2.descriptors);
+        const matches = scope.track(new cv.DMatchVector());
+        const minCosParallax = Math.cos(this.settings.minParallaxDeg * (Math.PI / 180));
+        let created = 0;
+
+        try {
+            this.matcher.match(desc1, desc2, matches);
+
+            for (let i = 0; i < matches.size(); i++) {
+                const match = matches.get(i);
+                if (match.distance > this.settings.maxDescriptorDistance) continue;
+
+                const i1 = match.queryIdx;
+                const i2 = match.trainIdx;
+
+                // Already mapped - just carry the association forward
+                if (kf1.landmarkIds[i1] >= 0) {
+                    kf2.landmarkIds[i2] = kf1.landmarkIds[i1];
+                    continue;
+                }
+
+                const ray1 = this.worldRay(kf1, kf1.points[i1]);
+                const ray2 = this.worldRay(kf2, kf2.points[i2]);
+
+                if (dot(ray1, ray2) > minCosParallax) continue;
+
+                const position = this.triangulateMidpoint(kf1.center, ray1, kf2.center, ray2);
+                if (!position) continue;
+
+                if (this.reprojectionError(kf1, position, kf1.points[i1]) > this.settings.maxReprojectionError ||
+                    this.reprojectionError(kf2, position, kf2.points[i2]) > this.settings.maxReprojectionError) {
+                    continue;
+                }
+
+                const id = this.nextLandmarkId++;
+                this.landmarks.set(id, {
+                    position,
+                    descriptor: kf2.descriptors.slice(i2 * DESCRIPTOR_SIZE, (i2 + 1) * DESCRIPTOR_SIZE),
+                    observations: 2,
+                    lastSeen: this.frameIndex
+                });
+                kf1.landmarkIds[i1] = id;
+                kf2.landmarkIds[i2] = id;
+                created++;
+            }
+        } finally {
+            scope.release();
+        }
+
+        if (created > 0) {
+            this.isDirty = true;
+        }
+
+        return created;
+    }
+
+    worldRay(keyframe, point) {
+        const ray = normalize(mat3MultiplyVec(keyframe.Kinv, [point.x, point.y, 1]));
+        return mat3MultiplyVec(keyframe.Rwc, ray);
+    }
+
+    /**
+     * Midpoint of the shortest segment between two rays, or null if the
+     * point would lie behind either camera
+     */
+    triangulateMidpoint(c1, d1, c2, d2) {
+        const w0 = subtract(c1, c2);
+        const b = dot(d1, d2);
+        const d = dot(d1, w0);
+        const e = dot(d2, w0);
+        const denom = 1 - b * b; // Rays are unit length
+
+        if (denom < 1e-9) return null;
+
+        const s = (b * e - d) / denom;
+        const t = (e - b * d) / denom;
+
+        if (s <= 0 || t <= 0) return null;
+
+        return scale(add(add(c1, scale(d1, s)), add(c2, scale(d2, t))), 0.5);
+    }
+
+    reprojectionError(keyframe, position, point) {
+        const pc = add(mat3MultiplyVec(keyframe.Rcw, position), keyframe.tcw);
+        if (pc[2] <= 0) return Infinity;
+
+        const K = keyframe.K;
+        const u = K[0] * pc[0] / pc[2] + K[2];
+        const v = K[4] * pc[1] / pc[2] + K[5];
+        return Math.hypot(u - point.x, v - point.y);
+    }
+
+    pruneLandmarks() {
+        const excess = this.landmarks.size - this.settings.maxLandmarks;
+        if (excess <= 0) return;
+
+        // Forget the landmarks that have gone unseen the longest
+        const oldest = [...this.landmarks.entries()]
+            .sort((a, b) => a[1].lastSeen - b[1].lastSeen)
+            .slice(0, excess);
+
+        for (const [id] of oldest) {
+            this.landmarks.delete(id);
+        }
+        this.isDirty = true;
+    }
+
+    rebuildDescriptors() {
+        if (!this.isDirty) return;
+
+        this.mats.free(this.landmarkDescriptors);
+        this.landmarkIndex = [...this.landmarks.keys()];
+
+        const data = new Uint8Array(this.landmarkIndex.length * DESCRIPTOR_SIZE);
+        this.landmarkIndex.forEach((id, i) => {
+            data.set(this.landmarks.get(id).descriptor, i * DESCRIPTOR_SIZE);
+        });
+
+        this.landmarkDescriptors = this.mats.fromArray(this.landmarkIndex.length, DESCRIPTOR_SIZE, cv.CV_8U, data);
+        this.isDirty = false;
+    }
+
+    /**
+     * Multiply all world distances by factor (metric scale calibration)
+     */
+    rescale(factor) {
+        for (const keyframe of this.keyframes) {
+            keyframe.tcw = scale(keyframe.tcw, factor);
+            keyframe.center = scale(keyframe.center, factor);
+        }
+        for (const landmark of this.landmarks.values()) {
+            landmark.position = scale(landmark.position, factor);
+        }
+    }
+
+    clear() {
+        this.keyframes = [];
+        this.landmarks.clear();
+        this.landmarkIndex = [];
+        this.mats.free(this.landmarkDescriptors);
+        this.landmarkDescriptors = null;
+        this.isDirty = true;
+    }
+
+    dispose() {
+        this.clear();
+        this.mats.release();
+    }
+}
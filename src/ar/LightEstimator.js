@@ -0,0 +1,161 @@
+/**
+ * Light Estimator - Scene lighting guessed from the camera image
+ * Every few frames the camera frame is shrunk to a thumbnail and averaged
+ * into an overall brightness, a colour temperature (gray-world, McCamy's
+ * approximation) and the side of the view that is brightest, which roughly
+ * points towards the dominant light. Phone cameras adjust exposure and white
+ * balance themselves, so the values are relative and only meant to keep the
+ * virtual lighting plausible: dim and warm at dusk, bright and neutral at noon.
+ */
+
+import { MatScope } from './CvMemory.js';
+
+/**
+ * @typedef {Object} LightEstimate
+ * @property {number} brightness - Mean linear luminance, 0-1
+ * @property {number} colorTemperature - Kelvin
+ * @property {{r: number, g: number, b: number}} color - Light colour of that temperature, brightest channel 1
+ * @property {number[]|null} direction - Towards the bright side of the view, in the
+ *   camera frame (x right, y up, z back); null when the image is evenly lit
+ * @property {number} directionality - 0 for even, diffuse light to 1 for a clearly lit side
+ */
+
+// sRGB byte -> linear intensity
+const LINEAR = Float32Array.from({ length: 256 }, (_, value) => {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+
+/**
+ * Correlated colour temperature of a linear sRGB colour (McCamy's approximation)
+ */
+function colorTemperature(r, g, b) {
+    const X = 0.4124 * r + 0.3576 * g + 0.1805 * b;
+    const Y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const Z = 0.0193 * r + 0.1192 * g + 0.9505 * b;
+    const sum = X + Y + Z;
+    if (sum <= 0) return null;
+
+    const n = (X / sum - 0.3320) / (0.1858 - Y / sum);
+    return 449 * n ** 3 + 3525 * n ** 2 + 6823.3 * n + 5520.33;
+}
+
+/**
+ * Approximate colour of a black body (Tanner Helland's fit), brightest channel 1
+ */
+export function colorFromTemperature(kelvin) {
+    const t = kelvin / 100;
+    const clamp = (v) => Math.min(255, Math.max(0, v));
+
+    const r = clamp(t <= 66 ? 255 : 329.698727446 * (t - 60) ** -0.1332047592);
+    const g = clamp(t <= 66
+        ? 99.4708025861 * Math.log(t) - 161.1195681661
+        : 288.1221695283 * (t - 60) ** -0.0755148492);
+    const b = clamp(t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307);
+
+    const max = Math.max(r, g, b);
+    return { r: r / max, g: g / max, b: b / max };
+}
+
+export class LightEstimator {
+    constructor() {
+        this.thumbnail = null;
+        this.mats = new MatScope();
+        this.frameCount = 0;
+        this.estimate = null;
+
+        this.settings = {
+            interval: 5,          // Camera frames between measurements
+            thumbnailWidth: 32,
+            smoothing: 0.3,       // Weight of the newest measurement
+            minTemperature: 2000,
+            maxTemperature: 10000,
+            fullOffset: 0.25      // Luminance centroid offset (fraction of the half-frame) that counts as fully directional
+        };
+    }
+
+    /**
+     * @param {cv.Mat} rgba - Camera frame
+     * @returns {LightEstimate} Smoothed over the last few measurements
+     */
+    update(rgba) {
+        if (this.frameCount++ % this.settings.interval === 0 || !this.estimate) {
+            const measured = this.measure(rgba);
+            this.estimate = this.estimate ? this.blend(this.estimate, measured) : measured;
+        }
+        return this.estimate;
+    }
+
+    measure(rgba) {
+        const width = this.settings.thumbnailWidth;
+        const height = Math.max(1, Math.round(width * rgba.rows / rgba.cols));
+
+        this.thumbnail ??= this.mats.mat();
+        cv.resize(rgba, this.thumbnail, new cv.Size(width, height), 0, 0, cv.INTER_AREA);
+
+        const data = this.thumbnail.data;
+        let sumR = 0, sumG = 0, sumB = 0, sumL = 0;
+        let momentX = 0, momentY = 0;
+
+        for (let y = 0, i = 0; y < height; y++) {
+            const ny = (y + 0.5) / height * 2 - 1;
+
+            for (let x = 0; x < width; x++, i += 4) {
+                const r = LINEAR[data[i]];
+                const g = LINEAR[data[i + 1]];
+                const b = LINEAR[data[i + 2]];
+                const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+                sumR += r;
+                sumG += g;
+                sumB += b;
+                sumL += luminance;
+                momentX += luminance * ((x + 0.5) / width * 2 - 1);
+                momentY += luminance * ny;
+            }
+        }
+
+        const { minTemperature, maxTemperature, fullOffset } = this.settings;
+        const temperature = Math.min(maxTemperature, Math.max(minTemperature,
+            colorTemperature(sumR, sumG, sumB) ?? 6500));
+
+        // Luminance centroid relative to the image centre; image y points down
+        const cx = sumL > 0 ? momentX / sumL : 0;
+        const cy = sumL > 0 ? momentY / sumL : 0;
+        const offset = Math.hypot(cx, cy);
+
+        return {
+            brightness: sumL / (width * height),
+            colorTemperature: temperature,
+            color: colorFromTemperature(temperature),
+            direction: offset > 0.01 ? [cx / offset, -cy / offset, 0] : null,
+            directionality: Math.min(1, offset / fullOffset)
+        };
+    }
+
+    blend(previous, measured) {
+        const k = this.settings.smoothing;
+        const mix = (a, b) => a + k * (b - a);
+        const temperature = mix(previous.colorTemperature, measured.colorTemperature);
+
+        let direction = measured.direction ?? previous.direction;
+        if (previous.direction && measured.direction) {
+            const v = previous.direction.map((a, i) => mix(a, measured.direction[i]));
+            const length = Math.hypot(...v);
+            direction = length > 1e-3 ? v.map(a => a / length) : measured.direction;
+        }
+
+        return {
+            brightness: mix(previous.brightness, measured.brightness),
+            colorTemperature: temperature,
+            color: colorFromTemperature(temperature),
+            direction,
+            directionality: mix(previous.directionality, measured.directionality)
+        };
+    }
+
+    dispose() {
+        this.mats.release();
+        this.thumbnail = null;
+    }
+}
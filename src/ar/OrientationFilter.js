@@ -0,0 +1,158 @@
+/**
+ * Orientation Filter - Complementary filter fusing gyro, accelerometer and vision
+ * Integrates devicemotion rotation rates, pulls the tilt towards measured
+ * gravity and the full orientation towards visual poses when they arrive
+ *
+ * Orientation is device-to-world as a quaternion. Device axes are x right,
+ * y up, z out of the screen - the Three.js camera convention for the rear
+ * camera - and the world is Y-up like the tracking world.
+ */
+
+import {
+    cross,
+    dot,
+    matrixToQuaternion,
+    normalize,
+    quatAngle,
+    quatConjugate,
+    quatFromAxisAngle,
+    quatMultiply,
+    quatNormalize,
+    quatRotate,
+    quatSlerp,
+    toThreeCameraRotation,
+    worldFromCameraRotation
+} from './PoseMath.js';
+
+const STANDARD_GRAVITY = 9.81;
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Plain copy of a DeviceMotionEvent, so samples can be posted to a worker
+ */
+export function motionSample(event) {
+    const rate = event.rotationRate;
+    const accel = event.accelerationIncludingGravity;
+
+    return {
+        rotationRate: rate ? { alpha: rate.alpha || 0, beta: rate.beta || 0, gamma: rate.gamma || 0 } : null,
+        acceleration: accel ? { x: accel.x || 0, y: accel.y || 0, z: accel.z || 0 } : null,
+        timestamp: event.timeStamp
+    };
+}
+
+export class OrientationFilter {
+    constructor() {
+        this.orientation = null; // Unknown until the first gravity reading
+        this.lastTimestamp = null;
+        this.angularSpeed = 0; // rad/s of the latest gyro sample
+
+        this.settings = {
+            accelGain: 0.02,         // Share of the tilt error corrected per motion sample
+            maxAccelDeviation: 0.15, // Skip accelerometer samples this far from 1 g (user is moving)
+            visualGain: 0.3,         // Share of the visual error corrected per frame at full confidence
+            snapAngle: 20,           // Degrees; larger visual disagreement means a new world frame
+            maxSampleGap: 0.2        // Seconds; longer gaps are not integrated
+        };
+    }
+
+    get isReady() {
+        return this.orientation !== null;
+    }
+
+    get quaternion() {
+        return this.orientation;
+    }
+
+    /**
+     * Gravity (pointing down) in the rear camera frame, OpenCV convention
+     * (x right, y down, z forward) - same as gravityFromOrientation
+     */
+    get gravity() {
+        const up = quatRotate(quatConjugate(this.orientation), [0, 1, 0]);
+        return [-up[0], up[1], up[2]];
+    }
+
+    /**
+     * @param {{rotationRate, acceleration, timestamp}} sample - From motionSample()
+     */
+    addSample(sample) {
+        const dt = this.lastTimestamp === null ? 0 : (sample.timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = sample.timestamp;
+
+        if (!this.orientation) {
+            if (sample.acceleration) {
+                this.initFromGravity(sample.acceleration);
+            }
+            return;
+        }
+
+        if (sample.rotationRate && dt > 0 && dt < this.settings.maxSampleGap) {
+            this.integrateGyro(sample.rotationRate, dt);
+        }
+
+        if (sample.acceleration) {
+            this.correctTilt(sample.acceleration);
+        }
+    }
+
+    initFromGravity(acceleration) {
+        const up = normalize([acceleration.x, acceleration.y, acceleration.z]);
+
+        // Same world as a fresh tracking session: level, looking down -Z
+        const Rwc = worldFromCameraRotation([-up[0], up[1], up[2]]);
+        this.orientation = quatNormalize(matrixToQuaternion(toThreeCameraRotation(Rwc)));
+    }
+
+    integrateGyro(rate, dt) {
+        // rotationRate: alpha about z, beta about x, gamma about y (deg/s, device axes)
+        const omega = [rate.beta * DEG_TO_RAD, rate.gamma * DEG_TO_RAD, rate.alpha * DEG_TO_RAD];
+        const speed = Math.hypot(...omega);
+        this.angularSpeed = speed;
+        if (speed < 1e-9) return;
+
+        const delta = quatFromAxisAngle(omega.map(w => w / speed), speed * dt);
+        this.orientation = quatNormalize(quatMultiply(this.orientation, delta));
+    }
+
+    correctTilt(acceleration) {
+        const { x, y, z } = acceleration;
+        const magnitude = Math.hypot(x, y, z);
+
+        // Only trust the accelerometer as a gravity sensor while the phone is not accelerating
+        if (Math.abs(magnitude / STANDARD_GRAVITY - 1) > this.settings.maxAccelDeviation) return;
+
+        // At rest accelerationIncludingGravity points up
+        const measured = [x / magnitude, y / magnitude, z / magnitude];
+        const predicted = quatRotate(quatConjugate(this.orientation), [0, 1, 0]);
+
+        const axis = cross(measured, predicted);
+        const sinAngle = Math.hypot(...axis);
+        if (sinAngle < 1e-9) return;
+
+        const angle = Math.atan2(sinAngle, dot(measured, predicted));
+        const correction = quatFromAxisAngle(axis.map(a => a / sinAngle), angle * this.settings.accelGain);
+        this.orientation = quatNormalize(quatMultiply(this.orientation, correction));
+    }
+
+    /**
+     * Pull towards a visual orientation measurement
+     * @param {{x, y, z, w}} quaternion - Camera-to-world from the tracker (Three.js convention)
+     * @param {number} confidence - 0..1
+     */
+    correct(quaternion, confidence = 1) {
+        if (!this.orientation || quatAngle(this.orientation, quaternion) > this.settings.snapAngle * DEG_TO_RAD) {
+            this.orientation = quatNormalize(quaternion);
+            return;
+        }
+
+        const gain = this.settings.visualGain * Math.max(0, Math.min(1, confidence));
+        this.orientation = quatSlerp(this.orientation, quaternion, gain);
+    }
+
+    reset() {
+        this.orientation = null;
+        this.lastTimestamp = null;
+        this.angularSpeed = 0;
+    }
+}
@@ -0,0 +1,436 @@
+/**
+ * Pose Math - Small linear algebra helpers for camera pose estimation
+ * Matrices are flat row-major arrays (3x3 = 9 numbers), vectors are [x, y, z]
+ */
+
+export function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+export function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+export function scale(v, s) {
+    return [v[0] * s, v[1] * s, v[2] * s];
+}
+
+export function add(a, b) {
+    return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+export function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+export function normalize(v) {
+    const len = Math.sqrt(dot(v, v));
+    return len > 1e-12 ? scale(v, 1 / len) : [0, 0, 0];
+}
+
+export function mat3Multiply(a, b) {
+    const out = new Array(9);
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+            out[r * 3 + c] =
+                a[r * 3] * b[c] +
+                a[r * 3 + 1] * b[3 + c] +
+                a[r * 3 + 2] * b[6 + c];
+        }
+    }
+    return out;
+}
+
+export function mat3Transpose(m) {
+    return [
+        m[0], m[3], m[6],
+        m[1], m[4], m[7],
+        m[2], m[5], m[8]
+    ];
+}
+
+export function mat3MultiplyVec(m, v) {
+    return [
+        m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+        m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+        m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+    ];
+}
+
+export function mat3Invert(m) {
+    const [a, b, c, d, e, f, g, h, i] = m;
+    const A = e * i - f * h;
+    const B = -(d * i - f * g);
+    const C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+
+    if (Math.abs(det) < 1e-12) return null;
+
+    const inv = 1 / det;
+    return [
+        A * inv, -(b * i - c * h) * inv, (b * f - c * e) * inv,
+        B * inv, (a * i - c * g) * inv, -(a * f - c * d) * inv,
+        C * inv, -(a * h - b * g) * inv, (a * e - b * d) * inv
+    ];
+}
+
+/**
+ * Build a 3x3 matrix from three column vectors
+ */
+export function mat3FromColumns(c0, c1, c2) {
+    return [
+        c0[0], c1[0], c2[0],
+        c0[1], c1[1], c2[1],
+        c0[2], c1[2], c2[2]
+    ];
+}
+
+/**
+ * Eigen decomposition of a symmetric 3x3 matrix (cyclic Jacobi)
+ * Returns eigenvalues in descending order with matching unit eigenvectors
+ */
+export function symmetricEigen3(m) {
+    const a = m.slice();
+    const v = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    const pairs = [[0, 1], [0, 2], [1, 2]];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const off = a[1] * a[1] + a[2] * a[2] + a[5] * a[5];
+        if (off < 1e-24) break;
+
+        for (const [p, q] of pairs) {
+            const apq = a[p * 3 + q];
+            if (Math.abs(apq) < 1e-18) continue;
+
+            const theta = (a[q * 3 + q] - a[p * 3 + p]) / (2 * apq);
+            const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+
+            // A' = J^T A J, V' = V J
+            for (let k = 0; k < 3; k++) {
+                const akp = a[k * 3 + p], akq = a[k * 3 + q];
+                a[k * 3 + p] = c * akp - s * akq;
+                a[k * 3 + q] = s * akp + c * akq;
+            }
+            for (let k = 0; k < 3; k++) {
+                const apk = a[p * 3 + k], aqk = a[q * 3 + k];
+                a[p * 3 + k] = c * apk - s * aqk;
+                a[q * 3 + k] = s * apk + c * aqk;
+            }
+            for (let k = 0; k < 3; k++) {
+                const vkp = v[k * 3 + p], vkq = v[k * 3 + q];
+                v[k * 3 + p] = c * vkp - s * vkq;
+                v[k * 3 + q] = s * vkp + c * vkq;
+            }
+        }
+    }
+
+    const order = [0, 1, 2].sort((i, j) => a[j * 4] - a[i * 4]);
+    return {
+        values: order.map(i => a[i * 4]),
+        vectors: order.map(i => [v[i], v[3 + i], v[6 + i]])
+    };
+}
+
+/**
+ * Decompose a pixel homography into rotation, translation and plane normal
+ *
+ * Follows the SVD-based method from Ma, Soatto, Kosecka & Sastry,
+ * "An Invitation to 3-D Vision", section 5.3. The stock OpenCV.js build
+ * does not export cv.decomposeHomographyMat, so this runs in plain JS.
+ *
+ * Convention: X2 = R * X1 + t and n^T * X1 = d for points on the plane,
+ * where `t` is returned already divided by d.
+ *
+ * @param {number[]} H - 3x3 homography mapping image 1 pixels to image 2
+ * @param {number[]} K - 3x3 camera intrinsic matrix
+ * @param {number[]} [refRay] - Normalized ray of a plane point in image 1,
+ *   used to fix the overall sign of H
+ * @returns {Array<{R: number[], t: number[], n: number[]|null}>}
+ */
+export function decomposeHomography(H, K, refRay = [0, 0, 1]) {
+    const Kinv = mat3Invert(K);
+    let Hn = mat3Multiply(mat3Multiply(Kinv, H), K);
+
+    // Scale so that the middle singular value is 1
+    let eig = symmetricEigen3(mat3Multiply(mat3Transpose(Hn), Hn));
+    const sigma2 = Math.sqrt(Math.max(eig.values[1], 1e-18));
+    Hn = Hn.map(x => x / sigma2);
+
+    // Positive depth: the mapped reference point must stay in front of the camera
+    if (mat3MultiplyVec(Hn, refRay)[2] < 0) {
+        Hn = Hn.map(x => -x);
+    }
+
+    eig = symmetricEigen3(mat3Multiply(mat3Transpose(Hn), Hn));
+    const s1 = eig.values[0];
+    const s3 = eig.values[2];
+    const [v1, v2, v3] = eig.vectors;
+
+    // Pure rotation (or no motion): translation and normal are unobservable
+    if (s1 - s3 < 1e-6) {
+        return [{ R: orthonormalize(Hn), t: [0, 0, 0], n: null }];
+    }
+
+    const norm = Math.sqrt(s1 - s3);
+    const a = Math.sqrt(Math.max(1 - s3, 0)) / norm;
+    const b = Math.sqrt(Math.max(s1 - 1, 0)) / norm;
+    const u1 = add(scale(v1, a), scale(v3, b));
+    const u2 = subtract(scale(v1, a), scale(v3, b));
+
+    const solutions = [];
+    for (const u of [u1, u2]) {
+        const U = mat3FromColumns(v2, u, cross(v2, u));
+        const Hv2 = mat3MultiplyVec(Hn, v2);
+        const Hu = mat3MultiplyVec(Hn, u);
+        const W = mat3FromColumns(Hv2, Hu, cross(Hv2, Hu));
+
+        const R = mat3Multiply(W, mat3Transpose(U));
+        const n = cross(v2, u);
+        const HminusR = Hn.map((x, i) => x - R[i]);
+        const t = mat3MultiplyVec(HminusR, n);
+
+        solutions.push({ R, t, n });
+        solutions.push({ R, t: scale(t, -1), n: scale(n, -1) });
+    }
+
+    return solutions;
+}
+
+/**
+ * Pick the physically valid homography solution
+ * Keeps solutions whose plane lies in front of the reference camera and
+ * returns the one whose normal is closest to the expected normal
+ */
+export function selectHomographySolution(solutions, refRay, expectedNormal) {
+    if (solutions.length === 1) return solutions[0];
+
+    const visible = solutions.filter(s => dot(s.n, refRay) > 0);
+    const candidates = visible.length > 0 ? visible : solutions;
+
+    let best = null;
+    let bestScore = -Infinity;
+    for (const s of candidates) {
+        const score = dot(s.n, expectedNormal);
+        if (score > bestScore) {
+            bestScore = score;
+            best = s;
+        }
+    }
+    return best;
+}
+
+/**
+ * Project a matrix onto the closest rotation (Gram-Schmidt on columns)
+ */
+export function orthonormalize(m) {
+    const c0 = normalize([m[0], m[3], m[6]]);
+    let c1 = [m[1], m[4], m[7]];
+    c1 = normalize(subtract(c1, scale(c0, dot(c0, c1))));
+    const c2 = cross(c0, c1);
+    return mat3FromColumns(c0, c1, c2);
+}
+
+/**
+ * Gravity direction (pointing down) in the rear camera frame
+ * (OpenCV convention: x right, y down, z forward) from deviceorientation
+ * beta/gamma angles in degrees
+ */
+export function gravityFromOrientation(beta, gamma) {
+    const b = beta * (Math.PI / 180);
+    const g = gamma * (Math.PI / 180);
+
+    // World up in device coordinates (x right, y up, z out of the screen)
+    const up = [-Math.cos(b) * Math.sin(g), Math.sin(b), Math.cos(b) * Math.cos(g)];
+
+    // Device -> rear camera flips y and z; negate to point down
+    return normalize([-up[0], up[1], up[2]]);
+}
+
+/**
+ * Rotation taking camera coordinates (OpenCV convention) into a Y-up world
+ * whose ground plane has the given downward normal in camera coordinates
+ */
+export function worldFromCameraRotation(down) {
+    const yw = scale(normalize(down), -1);
+
+    // World -Z follows the camera's viewing direction projected on the ground
+    let forward = [0, 0, 1];
+    if (Math.abs(dot(forward, yw)) > 0.99) {
+        forward = [0, -1, 0];
+    }
+    const zw = scale(normalize(subtract(forward, scale(yw, dot(forward, yw)))), -1);
+    const xw = cross(yw, zw);
+
+    // Rows are the world axes expressed in camera coordinates
+    return [...xw, ...yw, ...zw];
+}
+
+/**
+ * Convert an OpenCV camera-to-world rotation to the Three.js camera
+ * convention (y up, looking down -Z)
+ */
+export function toThreeCameraRotation(Rwc) {
+    return mat3Multiply(Rwc, [1, 0, 0, 0, -1, 0, 0, 0, -1]);
+}
+
+/**
+ * Euler angles (XYZ order, radians) from a rotation matrix
+ */
+export function matrixToEuler(m) {
+    const y = Math.asin(Math.max(-1, Math.min(1, m[2])));
+    if (Math.abs(m[2]) < 0.9999999) {
+        return { x: Math.atan2(-m[5], m[8]), y, z: Math.atan2(-m[1], m[0]) };
+    }
+    return { x: Math.atan2(m[7], m[4]), y, z: 0 };
+}
+
+/**
+ * Unit quaternion from a rotation matrix
+ */
+export function matrixToQuaternion(m) {
+    const [m11, m12, m13, m21, m22, m23, m31, m32, m33] = m;
+    const trace = m11 + m22 + m33;
+
+    if (trace > 0) {
+        const s = 0.5 / Math.sqrt(trace + 1.0);
+        return { w: 0.25 / s, x: (m32 - m23) * s, y: (m13 - m31) * s, z: (m21 - m12) * s };
+    } else if (m11 > m22 && m11 > m33) {
+        const s = 2.0 * Math.sqrt(1.0 + m11 - m22 - m33);
+        return { w: (m32 - m23) / s, x: 0.25 * s, y: (m12 + m21) / s, z: (m13 + m31) / s };
+    } else if (m22 > m33) {
+        const s = 2.0 * Math.sqrt(1.0 + m22 - m11 - m33);
+        return { w: (m13 - m31) / s, x: (m12 + m21) / s, y: 0.25 * s, z: (m23 + m32) / s };
+    }
+    const s = 2.0 * Math.sqrt(1.0 + m33 - m11 - m22);
+    return { w: (m21 - m12) / s, x: (m13 + m31) / s, y: (m23 + m32) / s, z: 0.25 * s };
+}
+
+/**
+ * Quaternion helpers - quaternions are {x, y, z, w} like matrixToQuaternion
+ */
+export function quatMultiply(a, b) {
+    return {
+        x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+        y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+        z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+        w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z
+    };
+}
+
+export function quatConjugate(q) {
+    return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+export function quatNormalize(q) {
+    const len = Math.hypot(q.x, q.y, q.z, q.w);
+    return { x: q.x / len, y: q.y / len, z: q.z / len, w: q.w / len };
+}
+
+/**
+ * Rotation by `angle` radians about a unit axis [x, y, z]
+ */
+export function quatFromAxisAngle(axis, angle) {
+    const s = Math.sin(angle / 2);
+    return { x: axis[0] * s, y: axis[1] * s, z: axis[2] * s, w: Math.cos(angle / 2) };
+}
+
+export function quatRotate(q, v) {
+    const p = quatMultiply(quatMultiply(q, { x: v[0], y: v[1], z: v[2], w: 0 }), quatConjugate(q));
+    return [p.x, p.y, p.z];
+}
+
+export function quatAngle(a, b) {
+    const d = Math.abs(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w);
+    return 2 * Math.acos(Math.min(1, d));
+}
+
+export function quatSlerp(a, b, t) {
+    let d = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+
+    // Take the short way round
+    const sign = d < 0 ? -1 : 1;
+    d *= sign;
+
+    let wa = 1 - t;
+    let wb = t * sign;
+    if (d < 0.9995) {
+        const theta = Math.acos(d);
+        const sinTheta = Math.sin(theta);
+        wa = Math.sin((1 - t) * theta) / sinTheta;
+        wb = Math.sin(t * theta) / sinTheta * sign;
+    }
+
+    return quatNormalize({
+        x: a.x * wa + b.x * wb,
+        y: a.y * wa + b.y * wb,
+        z: a.z * wa + b.z * wb,
+        w: a.w * wa + b.w * wb
+    });
+}
+
+export function quatToMatrix(q) {
+    const { x, y, z, w } = q;
+    return [
+        1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w),
+        2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w),
+        2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)
+    ];
+}
+
+/**
+ * Copy of a tracking pose with its position in world units scaled by s
+ */
+export function scalePosition(pose, s) {
+    const { x, y, z } = pose.position;
+    return { ...pose, position: { x: x * s, y: y * s, z: z * s } };
+}
+
+/**
+ * Image point helpers - points are {x, y} in pixels
+ */
+function turn(o, a, b) {
+    return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+/**
+ * Convex hull of image points (Andrew's monotone chain), every corner
+ * turning the same way; empty for fewer than three points
+ */
+export function convexHull(points) {
+    if (points.length < 3) return [];
+
+    const sorted = points.map(({ x, y }) => ({ x, y })).sort((a, b) => a.x - b.x || a.y - b.y);
+    const chain = (list) => {
+        const hull = [];
+        for (const p of list) {
+            while (hull.length >= 2 && turn(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) {
+                hull.pop();
+            }
+            hull.push(p);
+        }
+        hull.pop();
+        return hull;
+    };
+
+    const lower = chain(sorted);
+    const upper = chain(sorted.reverse());
+    return lower.concat(upper);
+}
+
+/**
+ * Whether a point lies inside a convex hull, or at most margin pixels outside it
+ */
+export function hullContains(hull, point, margin = 0) {
+    if (hull.length < 3) return false;
+
+    return hull.every((a, i) => {
+        const b = hull[(i + 1) % hull.length];
+        return turn(a, b, point) / Math.hypot(b.x - a.x, b.y - a.y) >= -margin;
+    });
+}
@@ -0,0 +1,130 @@
+/**
+ * Pose Smoother - Temporal filtering of tracked poses against jitter
+ * One-Euro filter on position and plane centre, adaptive slerp on rotation:
+ * heavy smoothing while the phone is still, little lag when it moves fast
+ *
+ * Casiez, Roussel & Vogel, "1 Euro Filter: A Simple Speed-based Low-pass
+ * Filter for Noisy Input in Interactive Systems", CHI 2012
+ */
+
+import { matrixToEuler, quatAngle, quatSlerp, quatToMatrix } from './PoseMath.js';
+
+function smoothingFactor(dt, cutoff) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+class OneEuroFilter {
+    constructor(settings) {
+        this.settings = settings;
+        this.value = null;
+        this.derivative = 0;
+    }
+
+    filter(value, dt) {
+        if (this.value === null || dt <= 0) {
+            this.value = value;
+            return value;
+        }
+
+        const { minCutoff, beta, derivativeCutoff } = this.settings;
+
+        // Speed decides the cutoff: fast motion is followed, slow drift is smoothed
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += smoothingFactor(dt, derivativeCutoff) * (rawDerivative - this.derivative);
+
+        const cutoff = minCutoff + beta * Math.abs(this.derivative);
+        this.value += smoothingFactor(dt, cutoff) * (value - this.value);
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+    }
+}
+
+export class PoseSmoother {
+    constructor() {
+        this.settings = {
+            enabled: true,
+            minCutoff: 0.7,       // Hz; lower = smoother at rest, more lag
+            beta: 10,             // Cutoff increase per unit of speed; higher = less lag when moving
+            derivativeCutoff: 1.0 // Hz; smoothing of the speed estimate itself
+        };
+
+        this.position = [0, 1, 2].map(() => new OneEuroFilter(this.settings));
+        this.planeCenter = [0, 1].map(() => new OneEuroFilter(this.settings));
+        this.quaternion = null;
+        this.angularSpeed = 0;
+        this.lastTime = null;
+    }
+
+    updateSettings(settings) {
+        Object.assign(this.settings, settings);
+        this.reset();
+    }
+
+    /**
+     * @param {Object|null} pose - Pose from the tracking engine
+     * @param {number} time - Timestamp in milliseconds
+     * @returns {Object|null} Smoothed copy of the pose
+     */
+    filter(pose, time) {
+        if (!pose || !this.settings.enabled) return pose;
+
+        const dt = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+        this.lastTime = time;
+
+        const smoothed = { ...pose };
+
+        const { x, y, z } = pose.position;
+        const [fx, fy, fz] = this.position;
+        smoothed.position = { x: fx.filter(x, dt), y: fy.filter(y, dt), z: fz.filter(z, dt) };
+
+        if (pose.planeCenter) {
+            // Filter in frame widths so beta means the same as for meters
+            const width = pose.intrinsics?.width || 1;
+            const [cx, cy] = this.planeCenter;
+            smoothed.planeCenter = {
+                x: cx.filter(pose.planeCenter.x / width, dt) * width,
+                y: cy.filter(pose.planeCenter.y / width, dt) * width
+            };
+        }
+
+        if (pose.quaternion) {
+            smoothed.quaternion = this.filterRotation(pose.quaternion, dt);
+
+            if (pose.rotationMatrix) {
+                smoothed.rotationMatrix = quatToMatrix(smoothed.quaternion);
+                smoothed.rotation = matrixToEuler(smoothed.rotationMatrix);
+            }
+        }
+
+        return smoothed;
+    }
+
+    filterRotation(quaternion, dt) {
+        if (!this.quaternion || dt <= 0) {
+            this.quaternion = quaternion;
+            return quaternion;
+        }
+
+        // Same speed-adaptive cutoff as the One-Euro filter, on angular speed (rad/s)
+        const { minCutoff, beta, derivativeCutoff } = this.settings;
+        const speed = quatAngle(this.quaternion, quaternion) / dt;
+        this.angularSpeed += smoothingFactor(dt, derivativeCutoff) * (speed - this.angularSpeed);
+
+        const cutoff = minCutoff + beta * this.angularSpeed;
+        this.quaternion = quatSlerp(this.quaternion, quaternion, smoothingFactor(dt, cutoff));
+        return this.quaternion;
+    }
+
+    reset() {
+        this.position.forEach(f => f.reset());
+        this.planeCenter.forEach(f => f.reset());
+        this.quaternion = null;
+        this.angularSpeed = 0;
+        this.lastTime = null;
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Relocalizer - Recovers the world pose after tracking loss
+ * Keeps ORB snapshots of recent well-tracked frames and matches incoming
+ * frames against them until one lines up with a plane homography
+ */
+
+import { MatScope } from './CvMemory.js';
+import { scalePosition } from './PoseMath.js';
+
+const DESCRIPTOR_SIZE = 32; // ORB descriptors are 32 bytes
+
+export class Relocalizer {
+    constructor() {
+        this.frames = [];
+        this.frameCounter = 0;
+        this.lastStoredFrame = -Infinity;
+        this.searchIndex = 0;
+        this.matcher = null;
+        this.mats = new MatScope();
+
+        this.settings = {
+            storeInterval: 20,        // Frames between snapshots
+            maxFrames: 30,
+            minFeatures: 80,          // Only store well-textured frames
+            minConfidence: 0.5,
+            candidatesPerFrame: 3,    // Snapshots tried per incoming frame
+            maxDescriptorDistance: 50,
+            ransacThreshold: 4.0,
+            minInliers: 30,
+            minInlierRatio: 0.4
+        };
+    }
+
+    init() {
+        this.matcher = this.mats.track(new cv.BFMatcher(cv.NORM_HAMMING, true));
+    }
+
+    get hasFrames() {
+        return this.frames.length > 0;
+    }
+
+    /**
+     * Remember a well-tracked frame so it can be recognized later
+     */
+    maybeStore(points, descriptors, pose) {
+        this.frameCounter++;
+
+        if (this.frameCounter - this.lastStoredFrame < this.settings.storeInterval) return;
+        if (points.length < this.settings.minFeatures || descriptors.rows === 0) return;
+        if ((pose.confidence ?? 1) < this.settings.minConfidence) return;
+
+        this.frames.push({
+            points: points.map(p => ({ x: p.x, y: p.y })),
+            descriptors: descriptors.data.slice(0, descriptors.rows * DESCRIPTOR_SIZE),
+            pose
+        });
+        this.lastStoredFrame = this.frameCounter;
+
+        if (this.frames.length > this.settings.maxFrames) {
+            this.frames.shift();
+        }
+    }
+
+    /**
+     * Try a few stored snapshots against the current frame, newest first,
+     * continuing where the previous call stopped
+     * @returns {{pose, homography: number[], refCenter, center, inliers, matches}|null}
+     */
+    relocalize(points, descriptors) {
+        if (this.frames.length === 0 || descriptors.rows === 0) {
+            return null;
+        }
+
+        const tries = Math.min(this.settings.candidatesPerFrame, this.frames.length);
+        for (let i = 0; i < tries; i++) {
+            const stored = this.frames[this.frames.length - 1 - (this.searchIndex % this.frames.length)];
+            this.searchIndex = (this.searchIndex + 1) % this.frames.length;
+            const match = this.matchFrame(stored, points, descriptors);
+
+            if (match) {
+                this.searchIndex = 0;
+                return match;
+            }
+        }
+
+        return null;
+    }
+
+    matchFrame(stored, points, descriptors) {
+        const matchScope = new MatScope();
+        const storedDesc = matchScope.fromArray(stored.points.length, DESCRIPTOR_SIZE, cv.CV_8U, stored.descriptors);
+        const matches = matchScope.track(new cv.DMatchVector());
+        const src = [];
+        const dst = [];
+
+        try {
+            this.matcher.match(storedDesc, descriptors, matches);
+
+            for (let i = 0; i < matches.size(); i++) {
+                const match = matches.get(i);
+                if (match.distance > this.settings.maxDescriptorDistance) continue;
+
+                const a = stored.points[match.queryIdx];
+                const b = points[match.trainIdx];
+                src.push(a.x, a.y);
+                dst.push(b.x, b.y);
+            }
+        } finally {
+            matchScope.release();
+        }
+
+        const count = src.length / 2;
+        if (count < this.settings.minInliers) {
+            return null;
+        }
+
+        const scope = new MatScope();
+        const srcMat = scope.fromArray(count, 1, cv.CV_32FC2, src);
+        const dstMat = scope.fromArray(count, 1, cv.CV_32FC2, dst);
+        const mask = scope.mat();
+
+        try {
+            const H = scope.track(cv.findHomography(srcMat, dstMat, cv.RANSAC, this.settings.ransacThreshold, mask));
+
+            if (H.empty()) return null;
+
+            let inliers = 0;
+            let refX = 0, refY = 0, curX = 0, curY = 0;
+            for (let i = 0; i < mask.rows; i++) {
+                if (mask.data[i] > 0) {
+                    inliers++;
+                    refX += src[i * 2];
+                    refY += src[i * 2 + 1];
+                    curX += dst[i * 2];
+                    curY += dst[i * 2 + 1];
+                }
+            }
+
+            if (inliers < this.settings.minInliers || inliers / count < this.settings.minInlierRatio) {
+                return null;
+            }
+
+            return {
+                pose: stored.pose,
+                homography: Array.from(H.data64F),
+                refCenter: { x: refX / inliers, y: refY / inliers },
+                center: { x: curX / inliers, y: curY / inliers },
+                inliers,
+                matches: count
+            };
+        } catch (error) {
+            console.warn('[Relocalizer] Homography failed:', error);
+            return null;
+        } finally {
+            scope.release();
+        }
+    }
+
+    /**
+     * Keep the stored poses in a rescaled world frame
+     */
+    rescale(factor) {
+        for (const frame of this.frames) {
+            frame.pose = scalePosition(frame.pose, factor);
+        }
+    }
+
+    clear() {
+        this.frames = [];
+        this.searchIndex = 0;
+        this.lastStoredFrame = -Infinity;
+    }
+
+    dispose() {
+        this.clear();
+        this.mats.release();
+    }
+}
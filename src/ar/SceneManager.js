@@ -4,31 +4,83 @@
  */
 
 import * as THREE from 'three';
+import { clone as cloneModel } from 'three/addons/utils/SkeletonUtils.js';
+
+// Linear luminance of middle gray, which camera auto exposure aims the frame at
+const MIDDLE_GRAY = 0.18;
+const SUN_DISTANCE = 12;
+const DAYLIGHT = new THREE.Vector3(5, 10, 5).normalize(); // Sun of the fixed lighting
+// Shadows reach this many times the models' size from them: the sun at about 5° altitude
+const SHADOW_REACH = 12;
+const UP = new THREE.Vector3(0, 1, 0);
+// Flat geometry (rings, planes) is built in the XY plane
+const LIE_FLAT = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2);
+// How far a picked-up instance floats above the ground, in footprint radii
+const LIFT_HEIGHT = 0.15;
+const RING_COLOR = 0xffeb3b;
+const LIFTED_RING_COLOR = 0xff9800;
+// Scratch objects, reused on every call of the methods that name them
+const towardsSun = new THREE.Vector3(); // updateLighting, setSunPosition
+const sunBounds = new THREE.Box3(); // aimSun
+const sunSphere = new THREE.Sphere(); // aimSun
+const nextGround = new THREE.Plane(); // updateGround
 
 export class SceneManager {
-    constructor() {
+    /**
+     * @param {CoordinateTransform} coordinates - Maps tracked video points to the view
+     */
+    constructor(coordinates) {
+        this.coordinates = coordinates;
         this.scene = null;
         this.camera = null;
         this.renderer = null;
-        this.model = null;
-        this.modelGroup = null;
+        this.modelGroup = null; // Holds every placed instance
         this.groundPlane = null;
         this.shadowPlane = null;
         this.lights = {};
         
-        // Model state
-        this.isModelPlaced = false;
-        this.modelScale = 1.0;
+        // Lighting follows the camera image unless turned off (see updateLighting)
+        this.lightEstimation = true;
+        this.ambientIntensity = 0.8; // Ambient slider, scaled by the estimated brightness
+        this.lightColor = new THREE.Color();
+        this.sunAzimuth = Math.PI / 4;
+        this.lightDirection = new THREE.Vector3();
+        this.sunDirection = DAYLIGHT.clone(); // Towards the sun; see aimSun for where it shines
+        this.sunPosition = null; // Set by the shadow study, see setSunPosition
+        this.sunStale = false; // Models or sunDirection changed since aimSun
+        
+        // Placed models (see addInstance); the template is the model the next placement copies
+        this.template = null;
+        this.instances = [];
+        this.selected = null;
+        this.nextInstanceId = 1;
+        this.selectionRing = null;
+        this.modelScale = 1.0; // Scale and rotation new instances start with
         this.modelRotation = 0;
-        this.placedPosition = new THREE.Vector3();
+        this.trueScale = false; // Models at their own size in meters once the world is metric
+        
+        // Real ground as measured by the engine (see updateGround), level at y = 0 until then
+        this.ground = new THREE.Plane(UP.clone(), 0);
+        this.groundTilt = new THREE.Quaternion();
+        this.indicatorSpin = 0;
         
-        // Screen dimensions
-        this.screenWidth = window.innerWidth;
-        this.screenHeight = window.innerHeight;
+        // Translucent copy of the model where a tap would place it (see showGhost)
+        this.ghost = null;
+        this.ghostMaterial = null;
         
         // Last known pose for placement
         this.lastPose = null;
         
+        // Tapped points of a scale measurement (see showScaleMarkers)
+        this.scaleMarkers = null;
+        
+        // Camera pose driven by tracking
+        this.defaultCameraPosition = new THREE.Vector3(0, 1.5, 0);
+        this.defaultCameraTarget = new THREE.Vector3(0, 0, -3);
+        this.poseMatrix = new THREE.Matrix4();
+        this.poseEuler = new THREE.Euler();
+        this.intrinsics = null; // Of the tracked camera, see setProjectionFromIntrinsics
+        
         // Animation
         this.mixer = null;
         this.clock = new THREE.Clock();
@@ -42,12 +94,13 @@ export class SceneManager {
         
         // Create camera
         // Using a perspective camera positioned to look down at the scene
-        const aspect = window.innerWidth / window.innerHeight;
+        const { width, height } = this.coordinates.viewSize;
+        const aspect = width / height;
         this.camera = new THREE.PerspectiveCamera(60, aspect, 0.01, 1000);
         
         // Position camera to simulate looking at the ground from phone height
-        this.camera.position.set(0, 1.5, 0);
-        this.camera.lookAt(0, 0, -3);
+        // (replaced by the tracked pose once the engine reports one)
+        this.resetCamera();
         
         // Create renderer with transparency
         this.renderer = new THREE.WebGLRenderer({
@@ -56,7 +109,7 @@ export class SceneManager {
             antialias: true,
             powerPreference: 'high-performance'
         });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
@@ -70,36 +123,39 @@ export class SceneManager {
         this.modelGroup.visible = false; // IMPORTANT: Hide by default
         this.scene.add(this.modelGroup);
         
+        // Highlight under the selected instance, scaled to its footprint
+        this.selectionRing = new THREE.Mesh(
+            new THREE.RingGeometry(0.92, 1, 48),
+            new THREE.MeshBasicMaterial({ color: RING_COLOR, side: THREE.DoubleSide, transparent: true, opacity: 0.9 })
+        );
+        this.selectionRing.quaternion.copy(LIE_FLAT);
+        
         // Create shadow receiving plane
         this.createShadowPlane();
         
         // Create ground indicator
         this.createGroundIndicator();
         
-        // Handle window resize
-        window.addEventListener('resize', () => this.onResize());
+        // Handle window resize and device rotation
+        this.coordinates.addEventListener('change', () => this.onResize());
         
         console.log('[SceneManager] Initialized');
     }
 
     setupLighting() {
         // Ambient light
-        this.lights.ambient = new THREE.AmbientLight(0xffffff, 0.8);
+        this.lights.ambient = new THREE.AmbientLight(0xffffff, this.ambientIntensity);
         this.scene.add(this.lights.ambient);
         
         // Directional light (sun)
         this.lights.sun = new THREE.DirectionalLight(0xffffff, 1.0);
-        this.lights.sun.position.set(5, 10, 5);
         this.lights.sun.castShadow = true;
         this.lights.sun.shadow.mapSize.width = 1024;
         this.lights.sun.shadow.mapSize.height = 1024;
-        this.lights.sun.shadow.camera.near = 0.5;
-        this.lights.sun.shadow.camera.far = 50;
-        this.lights.sun.shadow.camera.left = -10;
-        this.lights.sun.shadow.camera.right = 10;
-        this.lights.sun.shadow.camera.top = 10;
-        this.lights.sun.shadow.camera.bottom = -10;
         this.scene.add(this.lights.sun);
+        // In the scene so that moving it turns the light, see aimSun
+        this.scene.add(this.lights.sun.target);
+        this.aimSun();
         
         // Hemisphere light
         this.lights.hemisphere = new THREE.HemisphereLight(0x87ceeb, 0x545454, 0.4);
@@ -111,8 +167,7 @@ export class SceneManager {
         const material = new THREE.ShadowMaterial({ opacity: 0.3 });
         
         this.shadowPlane = new THREE.Mesh(geometry, material);
-        this.shadowPlane.rotation.x = -Math.PI / 2;
-        this.shadowPlane.position.y = 0;
+        this.shadowPlane.quaternion.copy(LIE_FLAT);
         this.shadowPlane.receiveShadow = true;
         this.shadowPlane.visible = false;
         this.scene.add(this.shadowPlane);
@@ -129,7 +184,7 @@ export class SceneManager {
         });
         
         this.groundIndicator = new THREE.Mesh(geometry, material);
-        this.groundIndicator.rotation.x = -Math.PI / 2;
+        this.groundIndicator.quaternion.copy(LIE_FLAT);
         this.groundIndicator.visible = false;
         this.scene.add(this.groundIndicator);
         
@@ -141,20 +196,16 @@ export class SceneManager {
         this.scene.add(this.gridHelper);
     }
 
+    /**
+     * Set the model the next placement copies; instances already placed stay
+     */
     setModel(model) {
         console.log('[SceneManager] setModel called');
         
-        // Remove existing model
-        if (this.model) {
-            this.modelGroup.remove(this.model);
-            this.disposeObject(this.model);
-        }
-        
-        this.model = model;
-        this.isModelPlaced = false;
-        
-        // IMPORTANT: Ensure model group is hidden
-        this.modelGroup.visible = false;
+        const previous = this.template;
+        this.template = model;
+        this.clearGhost();
+        this.releaseTemplate(previous);
         
         if (model) {
             // Calculate bounding box
@@ -170,14 +221,14 @@ export class SceneManager {
             model.position.z = -center.z;
             model.position.y = -box.min.y;
             
-            // Scale to reasonable size (~1 meter for preview)
+            // Scale to reasonable size (~1 meter for preview) until the world is in meters
             const maxDim = Math.max(size.x, size.y, size.z);
             const targetSize = 0.8;
-            const scale = targetSize / maxDim;
-            model.scale.setScalar(scale);
-            model.userData.baseScale = scale;
+            model.userData.previewScale = targetSize / maxDim;
+            model.userData.baseScale = this.trueScale ? 1 : model.userData.previewScale;
+            model.userData.footprint = Math.hypot(size.x, size.z) / 2; // Radius around its centre
             
-            console.log('[SceneManager] Model scale:', scale);
+            console.log('[SceneManager] Model scale:', model.userData.baseScale);
             
             // Enable shadows
             model.traverse((child) => {
@@ -187,84 +238,291 @@ export class SceneManager {
                 }
             });
             
-            this.modelGroup.add(model);
-            
-            // IMPORTANT: Keep hidden until placed
-            this.modelGroup.visible = false;
-            
             console.log('[SceneManager] Model configured');
-            console.log('[SceneManager] modelGroup.visible:', this.modelGroup.visible);
         }
     }
 
+    /**
+     * Free a model's geometry and materials once neither the next placement
+     * nor any placed instance uses them (instances share them with their template)
+     */
+    releaseTemplate(template) {
+        if (!template || template === this.template) return;
+        if (this.instances.some(instance => instance.template === template)) return;
+        
+        this.disposeObject(template);
+    }
+
+    get isModelPlaced() {
+        return this.instances.length > 0;
+    }
+
     placeModel(pose) {
-        if (!this.model) {
+        if (!this.template) {
             console.warn('[SceneManager] No model to place');
-            return false;
+            return null;
         }
         
         console.log('[SceneManager] placeModel called with pose:', pose);
         
-        // Use the pose's planeCenter (screen coordinates) to determine world position
-        const screenX = pose.planeCenter.x;
-        const screenY = pose.planeCenter.y;
-        
-        console.log('[SceneManager] Screen coords:', screenX, screenY);
-        console.log('[SceneManager] Screen size:', this.screenWidth, this.screenHeight);
+        // The pose's planeCenter (video pixels of its frame) determines the world position
+        const ndc = this.coordinates.videoToNdc(pose.planeCenter, pose.intrinsics);
         
-        // Convert screen coordinates to normalized device coordinates (-1 to 1)
-        const ndcX = (screenX / this.screenWidth) * 2 - 1;
-        const ndcY = -(screenY / this.screenHeight) * 2 + 1;
-        
-        console.log('[SceneManager] NDC:', ndcX, ndcY);
+        console.log('[SceneManager] NDC:', ndc.x, ndc.y);
         
         // Create raycaster
         const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(new THREE.Vector2(ndcX, ndcY), this.camera);
+        raycaster.setFromCamera(new THREE.Vector2(ndc.x, ndc.y), this.camera);
         
-        // Intersect with virtual ground plane at y=0
-        const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        // Intersect with the ground plane
         const intersectionPoint = new THREE.Vector3();
         
-        const intersected = raycaster.ray.intersectPlane(groundPlane, intersectionPoint);
+        const intersected = raycaster.ray.intersectPlane(this.ground, intersectionPoint);
         
         if (intersected) {
             console.log('[SceneManager] Intersection point:', intersectionPoint);
             
             // Position model at intersection
-            this.modelGroup.position.set(
-                intersectionPoint.x,
-                0,
-                intersectionPoint.z
-            );
-        } else {
-            // Fallback: place in front of camera
-            console.log('[SceneManager] No intersection, using fallback position');
-            this.modelGroup.position.set(0, 0, -2);
+            return this.addInstance(intersectionPoint.x, intersectionPoint.z);
         }
         
-        // Apply rotation
-        this.modelGroup.rotation.y = this.modelRotation * (Math.PI / 180);
+        // Fallback: place in front of camera
+        console.log('[SceneManager] No intersection, using fallback position');
+        return this.addInstance(0, -2);
+    }
+
+    /**
+     * Place a copy of a model on the ground at a world position and select it
+     * @param {Object} [source] - Instance whose model, scale and rotation to copy;
+     *   defaults to the template at the scale and rotation set for new instances
+     * @returns {Object|null} The new instance, null if there is no model
+     */
+    addInstance(x, z, source = null) {
+        const template = source?.template ?? this.template;
+        if (!template) {
+            console.warn('[SceneManager] No model to place');
+            return null;
+        }
         
-        // Show model
-        this.modelGroup.visible = true;
+        // Shares geometry and materials with the template
+        const model = cloneModel(template);
+        const group = new THREE.Group();
+        group.add(model);
+        
+        const instance = {
+            id: this.nextInstanceId++,
+            template,
+            model,
+            group,
+            position: new THREE.Vector3(x, 0, z), // Only x and z; y follows the ground
+            scale: source?.scale ?? this.modelScale,
+            rotation: source?.rotation ?? this.modelRotation
+        };
+        group.userData.instance = instance;
         
-        // Show and position shadow plane
+        this.instances.push(instance);
+        this.modelGroup.add(group);
+        this.updateInstance(instance);
+        this.select(instance);
+        
+        // Show models
+        this.modelGroup.visible = true;
         this.shadowPlane.visible = true;
-        this.shadowPlane.position.x = this.modelGroup.position.x;
-        this.shadowPlane.position.z = this.modelGroup.position.z;
         
         // Hide indicators
         this.groundIndicator.visible = false;
         this.gridHelper.visible = false;
         
-        this.isModelPlaced = true;
-        this.placedPosition.copy(this.modelGroup.position);
+        console.log(`[SceneManager] Instance ${instance.id} placed at:`, group.position);
+        
+        return instance;
+    }
+
+    /**
+     * Copy of an instance beside it, selected
+     */
+    duplicateInstance(instance) {
+        // Side by side, just clear of the original
+        const offset = 2.2 * this.footprintRadius(instance);
+        return this.addInstance(instance.position.x + offset, instance.position.z, instance);
+    }
+
+    removeInstance(instance) {
+        if (this.selected === instance) {
+            this.select(null);
+        }
+        
+        this.modelGroup.remove(instance.group);
+        this.instances = this.instances.filter(other => other !== instance);
+        this.releaseTemplate(instance.template);
+        this.sunStale = true;
         
-        console.log('[SceneManager] Model placed at:', this.modelGroup.position);
-        console.log('[SceneManager] Model visible:', this.modelGroup.visible);
+        if (!this.isModelPlaced) {
+            this.shadowPlane.visible = false;
+        }
+        this.fitShadowPlane();
+    }
+
+    moveInstance(instance, x, z) {
+        instance.position.set(x, 0, z);
+        this.updateInstance(instance);
+        this.fitShadowPlane();
+    }
+
+    /**
+     * Highlight an instance; the scale and rotation sliders act on it
+     * @param {Object|null} instance - null clears the selection
+     */
+    select(instance) {
+        this.selected = instance;
+        this.selectionRing.removeFromParent();
         
-        return true;
+        if (instance) {
+            instance.group.add(this.selectionRing);
+            this.updateInstance(instance);
+        }
+        this.fitShadowPlane();
+    }
+
+    /**
+     * Raise an instance off the ground while it is dragged, or set it back down
+     */
+    setLifted(instance, lifted) {
+        instance.lifted = lifted;
+        this.updateInstance(instance);
+    }
+
+    /**
+     * Placed instance under a screen position
+     * @param {{x: number, y: number}} point - Screen pixels, see CoordinateTransform
+     * @returns {Object|null}
+     */
+    instanceAt(point) {
+        if (!this.isModelPlaced || !this.modelGroup.visible) return null;
+        
+        const ndc = this.coordinates.screenToNdc(point);
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(ndc.x, ndc.y), this.camera);
+        
+        for (const hit of raycaster.intersectObjects(this.instances.map(i => i.model), true)) {
+            let object = hit.object;
+            while (object && !object.userData.instance) {
+                object = object.parent;
+            }
+            if (object) return object.userData.instance;
+        }
+        return null;
+    }
+
+    /**
+     * Apply an instance's position, rotation and scale
+     */
+    updateInstance(instance) {
+        const { model, group, template } = instance;
+        
+        model.scale.setScalar(template.userData.baseScale * instance.scale);
+        this.standOnGround(group, instance.position.x, instance.position.z, instance.rotation);
+        
+        // Lifted along the ground normal, the ring staying on the ground to show where it lands
+        const lift = instance.lifted ? LIFT_HEIGHT * this.footprintRadius(instance) : 0;
+        group.position.addScaledVector(this.ground.normal, lift);
+        
+        if (this.selected === instance) {
+            this.selectionRing.position.set(0, 0.01 - lift, 0);
+            this.selectionRing.scale.setScalar(1.1 * this.footprintRadius(instance));
+            this.selectionRing.material.color.set(instance.lifted ? LIFTED_RING_COLOR : RING_COLOR);
+        }
+        this.sunStale = true;
+    }
+
+    /**
+     * Radius of an instance's footprint in world units
+     */
+    footprintRadius(instance) {
+        return instance.template.userData.footprint * instance.template.userData.baseScale * instance.scale;
+    }
+
+    /**
+     * Move the Three.js camera to the tracked pose so that everything in
+     * the scene (placed model, shadow plane) stays fixed in world space.
+     * Accepts poses from both engines:
+     * - AREngine: full 6DoF pose with a camera-to-world rotationMatrix
+     * - AREngineSimple: orientation only (fused quaternion or deviceorientation
+     *   Euler angles), at the camera height when the pose has a position
+     */
+    updateCameraPose(pose) {
+        if (!pose) return;
+        
+        if (pose.rotationMatrix) {
+            const m = pose.rotationMatrix;
+            this.poseMatrix.set(
+                m[0], m[1], m[2], 0,
+                m[3], m[4], m[5], 0,
+                m[6], m[7], m[8], 0,
+                0, 0, 0, 1
+            );
+            this.camera.quaternion.setFromRotationMatrix(this.poseMatrix);
+            this.camera.position.set(pose.position.x, pose.position.y, pose.position.z);
+        } else if (pose.quaternion) {
+            // Orientation only (IMU) - keep the viewpoint
+            const q = pose.quaternion;
+            this.camera.quaternion.set(q.x, q.y, q.z, q.w);
+            this.camera.position.copy(pose.position ?? this.defaultCameraPosition);
+        } else if (pose.rotation) {
+            this.setCameraFromDeviceOrientation(pose.rotation);
+            this.camera.position.copy(pose.position ?? this.defaultCameraPosition);
+        }
+        
+        if (pose.intrinsics) {
+            this.setProjectionFromIntrinsics(pose.intrinsics);
+        }
+        
+        this.camera.updateMatrixWorld();
+    }
+
+    setCameraFromDeviceOrientation(rotation) {
+        // rotation.x = beta, rotation.y = gamma, rotation.z = alpha (radians)
+        const screenAngle = (window.screen?.orientation?.angle || 0) * (Math.PI / 180);
+        
+        this.poseEuler.set(rotation.x, rotation.z, -rotation.y, 'YXZ');
+        this.camera.quaternion.setFromEuler(this.poseEuler);
+        
+        // Device looks out of the back of the screen, not along its top edge
+        this.camera.quaternion.multiply(new THREE.Quaternion(-Math.sqrt(0.5), 0, 0, Math.sqrt(0.5)));
+        this.camera.quaternion.multiply(
+            new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -screenAngle)
+        );
+    }
+
+    /**
+     * Build the projection from camera intrinsics so virtual content lines up
+     * with #camera-feed, which is scaled and cropped by object-fit: cover
+     */
+    setProjectionFromIntrinsics(intrinsics) {
+        this.intrinsics = intrinsics;
+        const { fx, fy, cx, cy } = intrinsics;
+        const { width: W, height: H } = this.coordinates.viewSize;
+        
+        // Displayed video scale and offset of its top-left corner on screen
+        const { x: offsetX, y: offsetY, scale: coverScale } = this.coordinates.displayRect(intrinsics);
+        
+        const near = this.camera.near;
+        const far = this.camera.far;
+        
+        this.camera.projectionMatrix.set(
+            2 * coverScale * fx / W, 0, 1 - 2 * (offsetX + coverScale * cx) / W, 0,
+            0, 2 * coverScale * fy / H, 2 * (offsetY + coverScale * cy) / H - 1, 0,
+            0, 0, -(far + near) / (far - near), -2 * far * near / (far - near),
+            0, 0, -1, 0
+        );
+        this.camera.projectionMatrixInverse.copy(this.camera.projectionMatrix).invert();
+    }
+
+    resetCamera() {
+        this.camera.position.copy(this.defaultCameraPosition);
+        this.camera.quaternion.identity();
+        this.camera.lookAt(this.defaultCameraTarget);
+        this.camera.updateMatrixWorld();
     }
 
     updateModelPose(pose) {
@@ -273,73 +531,440 @@ export class SceneManager {
         // Store last pose for placement
         this.lastPose = pose;
         
-        const screenX = pose.planeCenter.x;
-        const screenY = pose.planeCenter.y;
-        
-        // Convert to NDC
-        const ndcX = (screenX / this.screenWidth) * 2 - 1;
-        const ndcY = -(screenY / this.screenHeight) * 2 + 1;
+        // Convert the plane centre (video pixels) to NDC
+        const ndc = this.coordinates.videoToNdc(pose.planeCenter, pose.intrinsics);
         
         // Raycast to ground
         const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(new THREE.Vector2(ndcX, ndcY), this.camera);
+        raycaster.setFromCamera(new THREE.Vector2(ndc.x, ndc.y), this.camera);
         
-        const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
         const intersectionPoint = new THREE.Vector3();
         
-        if (raycaster.ray.intersectPlane(groundPlane, intersectionPoint)) {
+        if (raycaster.ray.intersectPlane(this.ground, intersectionPoint)) {
             if (!this.isModelPlaced) {
-                // Update indicator position
-                this.groundIndicator.position.set(
-                    intersectionPoint.x,
-                    0.01,
-                    intersectionPoint.z
-                );
+                // Update indicator position, just above the ground
+                this.groundIndicator.position.copy(intersectionPoint)
+                    .addScaledVector(this.ground.normal, 0.01);
                 this.groundIndicator.visible = true;
                 
-                this.gridHelper.position.set(
-                    intersectionPoint.x,
-                    0,
-                    intersectionPoint.z
-                );
+                this.gridHelper.position.copy(intersectionPoint);
+                this.gridHelper.quaternion.copy(this.groundTilt);
                 this.gridHelper.visible = true;
             }
         }
     }
 
+    setTrackingLost(lost) {
+        if (!this.isModelPlaced) return;
+        
+        // Hide the placed model until the engine restores the world pose;
+        // its world position is kept so it reappears in the same spot
+        this.modelGroup.visible = !lost;
+        this.shadowPlane.visible = !lost;
+    }
+
     resetModel() {
         console.log('[SceneManager] Resetting model');
         
-        this.isModelPlaced = false;
+        [...this.instances].forEach(instance => this.removeInstance(instance));
+        this.modelScale = 1.0;
+        this.modelRotation = 0;
         this.modelGroup.visible = false;
         this.shadowPlane.visible = false;
         this.groundIndicator.visible = false;
         this.gridHelper.visible = false;
-        this.placedPosition.set(0, 0, 0);
-        this.modelGroup.position.set(0, 0, 0);
+        this.showGhost(null);
+        this.updateGround(null);
+        this.resetCamera();
     }
 
+    /**
+     * Scale of the selected instance, or of the next one placed if none is selected
+     */
     setModelScale(scale) {
-        this.modelScale = scale;
-        if (this.model && this.model.userData.baseScale) {
-            const newScale = this.model.userData.baseScale * scale;
-            this.model.scale.setScalar(newScale);
+        if (this.selected) {
+            this.selected.scale = scale;
+            this.updateInstance(this.selected);
+        } else {
+            this.modelScale = scale;
+        }
+    }
+
+    /**
+     * Show models at their own size (glTF units are meters) instead of ~1 m previews;
+     * every instance goes back to 1.0x, which is now its real size
+     */
+    setTrueScale(enabled) {
+        this.trueScale = enabled;
+        this.modelScale = 1.0;
+        
+        const templates = new Set([this.template, ...this.instances.map(instance => instance.template)]);
+        for (const template of templates) {
+            if (template?.userData.previewScale) {
+                template.userData.baseScale = enabled ? 1 : template.userData.previewScale;
+            }
+        }
+        
+        for (const instance of this.instances) {
+            instance.scale = 1.0;
+            this.updateInstance(instance);
         }
+        this.clearGhost();
+    }
+
+    /**
+     * Follow a rescaled world frame (see AREngine.setWorldScale()): what is
+     * placed stays on the same spot of the real ground
+     * @param {number} factor - New world units per old one
+     */
+    rescaleWorld(factor) {
+        this.ground.constant *= factor;
+        this.instances.forEach(instance => instance.position.multiplyScalar(factor));
+        this.fitToGround();
+        this.camera.position.multiplyScalar(factor);
+        this.camera.updateMatrixWorld();
     }
 
+    /**
+     * Follow the engine's ground estimate: the model, its shadow plane and the
+     * placement indicator lie on the measured plane, tilted with sloped terrain
+     * @param {Object|null} ground - result.ground of the tracking result
+     *   (normal · X + constant = 0, see AREngine.describeGround()); null for level ground at y = 0
+     */
+    updateGround(ground) {
+        if (ground) {
+            nextGround.normal.set(ground.normal.x, ground.normal.y, ground.normal.z).normalize();
+            nextGround.constant = ground.constant;
+        } else {
+            nextGround.set(UP, 0);
+        }
+        
+        // Called every frame; the models only move when the estimate does
+        if (nextGround.equals(this.ground)) return;
+        this.ground.copy(nextGround);
+        this.groundTilt.setFromUnitVectors(UP, this.ground.normal);
+        this.fitToGround();
+    }
+
+    /**
+     * Stand every instance on the ground plane below its placed position
+     */
+    fitToGround() {
+        this.instances.forEach(instance => this.updateInstance(instance));
+        this.fitShadowPlane();
+        
+        if (this.ghost?.visible) {
+            this.standOnGround(this.ghost, this.ghost.position.x, this.ghost.position.z, this.ghost.userData.rotation);
+        }
+    }
+
+    /**
+     * The shadow plane lies on the ground under the selected (or first) instance;
+     * it is large enough to catch the shadows of the others too
+     */
+    fitShadowPlane() {
+        const anchor = this.selected ?? this.instances[0];
+        if (!anchor) return;
+        
+        this.shadowPlane.position.copy(anchor.group.position);
+        this.shadowPlane.quaternion.copy(this.groundTilt).multiply(LIE_FLAT);
+    }
+
+    /**
+     * Put an object on the ground plane at (x, z), turned by rotation degrees
+     * about the ground normal
+     */
+    standOnGround(object, x, z, rotation) {
+        const { normal, constant } = this.ground;
+        
+        // Vertically below or above (x, z), so models don't creep sideways as the estimate settles
+        object.position.set(x, -(normal.x * x + normal.z * z + constant) / normal.y, z);
+        object.quaternion.setFromAxisAngle(UP, THREE.MathUtils.degToRad(rotation))
+            .premultiply(this.groundTilt);
+    }
+
+    /**
+     * Preview where a tap would put a model: the selected instance if there
+     * is one (a tap moves it), a new copy of the template otherwise
+     * @param {THREE.Vector3|null} point - On the ground; null hides the preview
+     * @param {boolean} [valid] - Whether the model may go there; shown red if not
+     */
+    showGhost(point, valid = true) {
+        const template = this.selected?.template ?? this.template;
+        
+        if (!point || !template) {
+            if (this.ghost) this.ghost.visible = false;
+            return;
+        }
+        
+        if (this.ghost?.userData.template !== template) {
+            this.clearGhost();
+            this.createGhost(template);
+        }
+        
+        const scale = this.selected?.scale ?? this.modelScale;
+        const rotation = this.selected?.rotation ?? this.modelRotation;
+        
+        this.ghost.children[0].scale.setScalar(template.userData.baseScale * scale);
+        this.ghost.userData.rotation = rotation;
+        this.ghostMaterial.color.set(valid ? 0x00ffff : 0xff5252);
+        this.standOnGround(this.ghost, point.x, point.z, rotation);
+        this.ghost.visible = true;
+    }
+
+    createGhost(template) {
+        this.ghostMaterial = new THREE.MeshBasicMaterial({
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+        
+        // Shares the template's geometry, only the material is its own
+        const copy = cloneModel(template);
+        copy.traverse((child) => {
+            if (child.isMesh) {
+                child.material = this.ghostMaterial;
+                child.castShadow = false;
+                child.receiveShadow = false;
+            }
+        });
+        
+        this.ghost = new THREE.Group();
+        this.ghost.userData.template = template;
+        this.ghost.add(copy);
+        this.scene.add(this.ghost);
+    }
+
+    clearGhost() {
+        if (!this.ghost) return;
+        
+        this.scene.remove(this.ghost);
+        this.ghostMaterial.dispose();
+        this.ghost = null;
+        this.ghostMaterial = null;
+    }
+
+    /**
+     * Point on the ground under a screen position
+     * @param {{x: number, y: number}} point - Screen pixels, see CoordinateTransform
+     * @returns {THREE.Vector3|null} null if the ray misses the ground
+     */
+    groundPointAt(point) {
+        const ndc = this.coordinates.screenToNdc(point);
+        
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(ndc.x, ndc.y), this.camera);
+        
+        return raycaster.ray.intersectPlane(this.ground, new THREE.Vector3());
+    }
+
+    /**
+     * Mark the points of a scale measurement and the line between them
+     * @param {THREE.Vector3[]} points - On the ground, at most two
+     */
+    showScaleMarkers(points) {
+        this.clearScaleMarkers();
+        
+        this.scaleMarkers = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({ color: 0xffeb3b, side: THREE.DoubleSide });
+        
+        for (const point of points) {
+            const marker = new THREE.Mesh(new THREE.RingGeometry(0.02, 0.04, 24), material);
+            marker.quaternion.copy(this.groundTilt).multiply(LIE_FLAT);
+            marker.position.copy(point).addScaledVector(this.ground.normal, 0.005);
+            this.scaleMarkers.add(marker);
+        }
+        
+        if (points.length === 2) {
+            const geometry = new THREE.BufferGeometry().setFromPoints(
+                points.map(p => p.clone().addScaledVector(this.ground.normal, 0.005))
+            );
+            this.scaleMarkers.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0xffeb3b })));
+        }
+        
+        this.scene.add(this.scaleMarkers);
+    }
+
+    clearScaleMarkers() {
+        if (!this.scaleMarkers) return;
+        
+        this.scene.remove(this.scaleMarkers);
+        this.disposeObject(this.scaleMarkers);
+        this.scaleMarkers = null;
+    }
+
+    /**
+     * Rotation of the selected instance, or of the next one placed if none is selected
+     */
     setModelRotation(degrees) {
-        this.modelRotation = degrees;
-        if (this.modelGroup) {
-            this.modelGroup.rotation.y = degrees * (Math.PI / 180);
+        if (this.selected) {
+            this.selected.rotation = degrees;
+            this.updateInstance(this.selected);
+        } else {
+            this.modelRotation = degrees;
         }
     }
 
     setAmbientIntensity(intensity) {
-        if (this.lights.ambient) {
+        this.ambientIntensity = intensity;
+        
+        // With light estimation on, the next estimate scales the new level
+        if (this.lights.ambient && !this.lightEstimation) {
             this.lights.ambient.intensity = intensity;
         }
     }
 
+    /**
+     * Match the virtual lights to the camera image
+     * @param {Object} estimate - LightEstimate from the engine, see LightEstimator.js
+     */
+    updateLighting(estimate) {
+        if (!this.lightEstimation || !estimate) return;
+        
+        const { ambient, hemisphere, sun } = this.lights;
+        
+        // Auto exposure brightens dusk frames too, but not all the way to middle gray
+        const level = THREE.MathUtils.clamp(estimate.brightness / MIDDLE_GRAY, 0.2, 1.5);
+        const { r, g, b } = estimate.color;
+        this.lightColor.setRGB(r, g, b, THREE.SRGBColorSpace);
+        
+        ambient.color.copy(this.lightColor);
+        ambient.intensity = this.ambientIntensity * level;
+        hemisphere.color.copy(this.lightColor);
+        hemisphere.intensity = 0.4 * level;
+        
+        // A clearly brighter side of the view means a direct light from there;
+        // flat lighting means overcast sky and a weak sun
+        sun.color.copy(this.lightColor);
+        
+        // The shadow study places the sun; the image only says how bright it is
+        if (this.sunPosition) {
+            sun.intensity = level;
+            return;
+        }
+        
+        sun.intensity = level * (0.3 + 0.7 * estimate.directionality);
+        
+        if (estimate.direction && estimate.directionality > 0.2) {
+            const [x, y, z] = estimate.direction;
+            this.lightDirection.set(x, y, z).applyQuaternion(this.camera.quaternion);
+            if (Math.hypot(this.lightDirection.x, this.lightDirection.z) > 0.1) {
+                this.sunAzimuth = Math.atan2(this.lightDirection.x, this.lightDirection.z);
+            }
+        }
+        
+        // Dim light is low sun: long shadows at dusk, short ones at noon
+        const elevation = THREE.MathUtils.degToRad(THREE.MathUtils.mapLinear(level, 0.2, 1.5, 8, 65));
+        this.turnSun(towardsSun.set(
+            Math.sin(this.sunAzimuth) * Math.cos(elevation),
+            Math.sin(elevation),
+            Math.cos(this.sunAzimuth) * Math.cos(elevation)
+        ));
+    }
+
+    setLightEstimation(enabled) {
+        this.lightEstimation = enabled;
+        if (enabled) return;
+        
+        // Back to the fixed daylight setup
+        const { ambient, hemisphere, sun } = this.lights;
+        ambient.color.set(0xffffff);
+        ambient.intensity = this.ambientIntensity;
+        hemisphere.color.set(0x87ceeb);
+        hemisphere.intensity = 0.4;
+        sun.color.set(0xffffff);
+        sun.intensity = 1.0;
+        this.turnSun(DAYLIGHT);
+        this.sunAzimuth = Math.PI / 4;
+        
+        if (this.sunPosition) {
+            this.setSunPosition(this.sunPosition);
+        }
+    }
+
+    /**
+     * Put the sun where it stands at the site (shadow study) rather than where
+     * the camera image suggests
+     * @param {{azimuth: number, altitude: number}|null} position - Degrees in the
+     *   world frame, azimuth clockwise from -z; null hands the sun back
+     */
+    setSunPosition(position) {
+        const { sun } = this.lights;
+        this.sunPosition = position;
+        
+        if (!position) {
+            sun.visible = true;
+            if (!this.lightEstimation) {
+                this.turnSun(DAYLIGHT);
+            }
+            return;
+        }
+        
+        const azimuth = THREE.MathUtils.degToRad(position.azimuth);
+        const altitude = THREE.MathUtils.degToRad(position.altitude);
+        this.turnSun(towardsSun.set(
+            Math.sin(azimuth) * Math.cos(altitude),
+            Math.sin(altitude),
+            -Math.cos(azimuth) * Math.cos(altitude)
+        ));
+        
+        // Night: no direct light and no shadows, only the ambient lights
+        sun.visible = position.altitude > 0;
+    }
+
+    /**
+     * @param {THREE.Vector3} direction - Towards the sun, normalized
+     */
+    turnSun(direction) {
+        if (this.sunDirection.equals(direction)) return;
+        
+        this.sunDirection.copy(direction);
+        this.sunStale = true;
+    }
+
+    /**
+     * Where the camera looks, in degrees clockwise from the world's -z axis
+     * (the shadow study's north offset is taken from it)
+     */
+    get cameraHeading() {
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        return (THREE.MathUtils.radToDeg(Math.atan2(forward.x, -forward.z)) + 360) % 360;
+    }
+
+    /**
+     * Shine the sun from sunDirection onto the placed models, wherever they stand:
+     * the light looks at their centre and its shadow camera just covers them
+     * and the ground their shadows fall on. Runs on the render after sunStale is set
+     */
+    aimSun() {
+        const { sun } = this.lights;
+        this.sunStale = false;
+        
+        sunBounds.makeEmpty();
+        this.instances.forEach(instance => sunBounds.expandByObject(instance.group));
+        
+        if (sunBounds.isEmpty()) {
+            sunSphere.center.set(0, 0, 0);
+            sunSphere.radius = 1;
+        } else {
+            sunBounds.getBoundingSphere(sunSphere);
+        }
+        const radius = Math.max(sunSphere.radius, 0.1) * 1.1;
+        const distance = SUN_DISTANCE + radius;
+        
+        sun.target.position.copy(sunSphere.center);
+        sun.position.copy(sunSphere.center).addScaledVector(this.sunDirection, distance);
+        
+        // Across the light, shadows stay within the models' outline; along it they
+        // stretch over the ground, far behind the models when the sun is low
+        const camera = sun.shadow.camera;
+        camera.left = camera.bottom = -radius;
+        camera.right = camera.top = radius;
+        camera.near = distance - radius;
+        camera.far = distance + radius * SHADOW_REACH;
+        camera.updateProjectionMatrix();
+    }
+
     setShadowEnabled(enabled) {
         if (this.shadowPlane) {
             this.shadowPlane.material.opacity = enabled ? 0.3 : 0;
@@ -355,21 +980,33 @@ export class SceneManager {
         
         // Animate indicator
         if (this.groundIndicator && this.groundIndicator.visible) {
-            this.groundIndicator.rotation.z += delta;
+            this.indicatorSpin += delta;
+            this.groundIndicator.quaternion.copy(this.groundTilt).multiply(LIE_FLAT)
+                .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), this.indicatorSpin));
             this.groundIndicator.material.opacity = 0.5 + Math.sin(Date.now() * 0.005) * 0.3;
         }
         
+        // Once per change of the models or the sun, however many came since the last frame
+        if (this.sunStale) {
+            this.aimSun();
+        }
+        
         this.renderer.render(this.scene, this.camera);
     }
 
     onResize() {
-        this.screenWidth = window.innerWidth;
-        this.screenHeight = window.innerHeight;
+        const { width, height } = this.coordinates.viewSize;
         
-        this.camera.aspect = this.screenWidth / this.screenHeight;
-        this.camera.updateProjectionMatrix();
+        this.camera.aspect = width / height;
+        
+        // The cover crop changes with the view; the fov projection is only a stand-in
+        if (this.intrinsics) {
+            this.setProjectionFromIntrinsics(this.intrinsics);
+        } else {
+            this.camera.updateProjectionMatrix();
+        }
         
-        this.renderer.setSize(this.screenWidth, this.screenHeight);
+        this.renderer.setSize(width, height);
     }
 
     disposeObject(obj) {
@@ -0,0 +1,161 @@
+/**
+ * Session Recorder - Captures a tracking session for offline replay
+ * Records the camera stream with MediaRecorder next to a JSON log of
+ * per-frame timestamps, IMU readings, motion samples and tracking results
+ */
+
+import { motionSample } from './OrientationFilter.js';
+
+export const SESSION_LOG_VERSION = 1;
+
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+/**
+ * Compact copy of a tracking result, enough to compare a replay against
+ */
+export function summarizeResult(result) {
+    const pose = result.pose;
+
+    return {
+        isTracking: result.isTracking,
+        featureCount: result.featureCount,
+        planeCount: result.planeCount,
+        isRelocalizing: !!result.isRelocalizing,
+        pose: pose ? {
+            position: pose.position,
+            quaternion: pose.quaternion ?? null,
+            confidence: pose.confidence
+        } : null
+    };
+}
+
+export class SessionRecorder {
+    constructor(video) {
+        this.video = video;
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.frames = [];
+        this.motion = [];
+        this.startTime = null;
+        this.lastResult = null;
+        this.info = null;
+
+        this.onMotion = (event) => {
+            if (this.startTime !== null) {
+                this.motion.push(motionSample(event));
+            }
+        };
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+
+    get isRecording() {
+        return this.mediaRecorder !== null;
+    }
+
+    /**
+     * @param {Object} info - Session metadata stored in the log (engine, settings, calibration)
+     */
+    start(info = {}) {
+        const stream = this.video.srcObject;
+        if (!stream) {
+            throw new Error('No camera stream to record');
+        }
+
+        const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+        this.chunks = [];
+        this.frames = [];
+        this.motion = [];
+        this.startTime = null;
+        this.lastResult = null;
+        this.info = info;
+
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 4000000 });
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        };
+
+        // Frame times are measured from the moment the video starts
+        this.mediaRecorder.onstart = () => {
+            this.startTime = performance.now();
+        };
+
+        window.addEventListener('devicemotion', this.onMotion);
+        this.mediaRecorder.start(1000);
+        console.log(`[Recorder] Recording (${this.mediaRecorder.mimeType})`);
+    }
+
+    /**
+     * Log one processed frame; a worker result handed out again is skipped
+     * @param {number} capturedAt - performance.now() when the frame was captured
+     */
+    recordFrame(imuData, result, capturedAt) {
+        if (this.startTime === null || result === this.lastResult) return;
+        this.lastResult = result;
+
+        // A worker result can describe a frame from before the video started
+        if (capturedAt < this.startTime) return;
+
+        this.frames.push({
+            t: capturedAt - this.startTime,
+            imu: { alpha: imuData.alpha, beta: imuData.beta, gamma: imuData.gamma },
+            motion: this.motion.splice(0),
+            result: summarizeResult(result)
+        });
+    }
+
+    /**
+     * @returns {Promise<{video: Blob, log: Object}>}
+     */
+    stop() {
+        const recorder = this.mediaRecorder;
+        window.removeEventListener('devicemotion', this.onMotion);
+
+        return new Promise((resolve) => {
+            recorder.onstop = () => {
+                const video = new Blob(this.chunks, { type: recorder.mimeType });
+
+                resolve({
+                    video,
+                    log: {
+                        version: SESSION_LOG_VERSION,
+                        recordedAt: new Date().toISOString(),
+                        userAgent: navigator.userAgent,
+                        mimeType: recorder.mimeType,
+                        width: this.video.videoWidth,
+                        height: this.video.videoHeight,
+                        ...this.info,
+                        frames: this.frames
+                    }
+                });
+
+                this.mediaRecorder = null;
+                this.startTime = null;
+                this.chunks = [];
+            };
+
+            recorder.stop();
+        });
+    }
+}
+
+/**
+ * Save a recorded session as a video file plus a matching .json log
+ */
+export function downloadSession(session) {
+    const name = `session-${session.log.recordedAt.replace(/[:.]/g, '-')}`;
+    const extension = session.video.type.includes('mp4') ? 'mp4' : 'webm';
+    const log = new Blob([JSON.stringify(session.log)], { type: 'application/json' });
+
+    for (const [blob, filename] of [[session.video, `${name}.${extension}`], [log, `${name}.json`]]) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * Session Replay - Feeds a recorded session back through the tracking engine
+ * Takes over the camera-feed video element, seeks it to each recorded frame
+ * time and restores the recorded IMU state, so the engine sees the session
+ * frame by frame instead of the live camera
+ */
+
+import { SESSION_LOG_VERSION } from './SessionRecorder.js';
+
+export class SessionReplay {
+    constructor(video) {
+        this.video = video;
+        this.log = null;
+        this.url = null;
+        this.index = 0;
+        this.liveStream = null;
+        this.stats = null;
+    }
+
+    /**
+     * @param {File|Blob} videoFile - Recorded video
+     * @param {File|Blob} logFile - Matching .json session log
+     */
+    async load(videoFile, logFile) {
+        const log = JSON.parse(await logFile.text());
+
+        if (log.version !== SESSION_LOG_VERSION || !Array.isArray(log.frames)) {
+            throw new Error('Not a session log from this app version');
+        }
+
+        this.log = log;
+        this.url = URL.createObjectURL(videoFile);
+    }
+
+    get frameCount() {
+        return this.log ? this.log.frames.length : 0;
+    }
+
+    get isActive() {
+        return this.liveStream !== null;
+    }
+
+    /**
+     * Swap the live camera for the recording
+     */
+    async start() {
+        this.liveStream = this.video.srcObject;
+        this.index = 0;
+        this.stats = {
+            frames: 0,
+            trackedRecorded: 0,
+            trackedReplayed: 0,
+            trackingMismatches: 0,
+            maxPositionError: 0
+        };
+
+        this.video.pause();
+        this.video.srcObject = null;
+        this.video.src = this.url;
+
+        await new Promise((resolve, reject) => {
+            this.video.onloadeddata = resolve;
+            this.video.onerror = () => reject(new Error('Recorded video could not be decoded'));
+        });
+    }
+
+    /**
+     * Seek to the next recorded frame
+     * @returns {Promise<Object|null>} The frame's log entry, or null at the end
+     */
+    async nextFrame() {
+        if (this.index >= this.log.frames.length) {
+            return null;
+        }
+
+        const frame = this.log.frames[this.index++];
+
+        await new Promise((resolve) => {
+            this.video.addEventListener('seeked', resolve, { once: true });
+            this.video.currentTime = frame.t / 1000;
+        });
+
+        return frame;
+    }
+
+    /**
+     * Compare a replayed result with the one logged during recording
+     */
+    compare(frame, result) {
+        const recorded = frame.result;
+        const stats = this.stats;
+
+        stats.frames++;
+        if (recorded.isTracking) stats.trackedRecorded++;
+        if (result.isTracking) stats.trackedReplayed++;
+        if (recorded.isTracking !== result.isTracking) stats.trackingMismatches++;
+
+        if (recorded.pose && result.pose) {
+            const a = recorded.pose.position;
+            const b = result.pose.position;
+            stats.maxPositionError = Math.max(stats.maxPositionError, Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z));
+        }
+    }
+
+    /**
+     * Hand the video element back to the live camera
+     */
+    async stop() {
+        if (!this.isActive) return;
+
+        this.video.removeAttribute('src');
+        this.video.srcObject = this.liveStream;
+        this.liveStream = null;
+        URL.revokeObjectURL(this.url);
+
+        await this.video.play().catch(() => {});
+        console.log('[Replay] Finished', this.stats);
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * Shadow Study - Puts the virtual sun where the real one stands at the site
+ * for a chosen date and time, so a design can be shown shading the garden
+ * through the day. Times are in the device's time zone.
+ *
+ * The tracked world has no compass: northOffset is the heading, clockwise
+ * from true north, of the world's -z axis (where the camera looked when
+ * tracking started), and turns the sun's compass azimuth into the world's.
+ *
+ * Emits 'change' whenever the sun moves, including every frame while playing.
+ */
+
+import { daylight, solarPosition } from './SolarPosition.js';
+
+export class ShadowStudy extends EventTarget {
+    constructor() {
+        super();
+
+        this.enabled = false;
+        this.latitude = null;
+        this.longitude = null;
+        this.date = new Date();
+        this.northOffset = 0;
+        this.playback = null; // {sunrise, sunset, frame} while the day plays
+
+        this.settings = {
+            dayDuration: 20000 // Sunrise to sunset, in ms of playback
+        };
+    }
+
+    get hasLocation() {
+        return Number.isFinite(this.latitude) && Number.isFinite(this.longitude);
+    }
+
+    get isPlaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * Sun at the site, azimuth clockwise from true north
+     * @returns {{azimuth: number, altitude: number}|null} null without a location
+     */
+    get solarPosition() {
+        return this.hasLocation ? solarPosition(this.date, this.latitude, this.longitude) : null;
+    }
+
+    /**
+     * Sun for the study's place and time in the world frame
+     * @returns {{azimuth: number, altitude: number}|null} Degrees, azimuth
+     *   clockwise from the world's -z axis; null while off or without a location
+     */
+    get sunPosition() {
+        const sun = this.enabled ? this.solarPosition : null;
+        if (!sun) return null;
+
+        return { azimuth: ((sun.azimuth - this.northOffset) % 360 + 360) % 360, altitude: sun.altitude };
+    }
+
+    /**
+     * @param {Object} options - Any of enabled, latitude, longitude, date, northOffset
+     */
+    update(options) {
+        Object.assign(this, options);
+        // A picked time or day replaces the one playing
+        if (!this.enabled || !this.hasLocation || 'date' in options) {
+            this.pause();
+        }
+        this.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Latitude and longitude from the device's geolocation
+     * @returns {Promise<{latitude: number, longitude: number}>} Rejects if
+     *   unavailable or refused; the location is entered by hand then
+     */
+    locate() {
+        if (!navigator.geolocation) {
+            return Promise.reject(new Error('Location not available - enter it by hand'));
+        }
+
+        return new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(
+                ({ coords }) => {
+                    const location = { latitude: coords.latitude, longitude: coords.longitude };
+                    this.update(location);
+                    resolve(location);
+                },
+                (error) => reject(new Error(`Location unavailable (${error.message}) - enter it by hand`)),
+                { enableHighAccuracy: false, timeout: 10000, maximumAge: 600000 }
+            );
+        });
+    }
+
+    /**
+     * Run the chosen day from sunrise to sunset, or on from the current time
+     * if it is within them; stops at sunset
+     */
+    play() {
+        if (!this.enabled || !this.hasLocation) {
+            throw new Error('Turn on the study and enter the location first');
+        }
+
+        const day = daylight(this.date, this.latitude, this.longitude);
+        if (!day) {
+            throw new Error('The sun does not rise on this day here');
+        }
+
+        this.pause();
+        if (this.date < day.sunrise || this.date >= day.sunset) {
+            this.date = new Date(day.sunrise);
+        }
+
+        // Day time per unit of playback time
+        const speed = (day.sunset - day.sunrise) / this.settings.dayDuration;
+        let last = performance.now();
+
+        const step = (now) => {
+            this.date = new Date(Math.min(day.sunset.getTime(), this.date.getTime() + (now - last) * speed));
+            last = now;
+
+            const done = this.date >= day.sunset;
+            this.playback = done ? null : { ...day, frame: requestAnimationFrame(step) };
+            this.dispatchEvent(new Event('change'));
+        };
+        this.playback = { ...day, frame: requestAnimationFrame(step) };
+        this.dispatchEvent(new Event('change'));
+    }
+
+    pause() {
+        if (!this.playback) return;
+
+        cancelAnimationFrame(this.playback.frame);
+        this.playback = null;
+        this.dispatchEvent(new Event('change'));
+    }
+
+    dispose() {
+        this.pause();
+    }
+}
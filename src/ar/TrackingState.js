@@ -0,0 +1,138 @@
+/**
+ * Tracking State - What the app can currently rely on the engine for
+ * Condenses each frame's tracking result into one of five states and emits a
+ * 'change' event when the state settles on a new value. A new state has to
+ * hold for a few frames first, so one bad frame doesn't flip the UI.
+ *
+ * - initializing: no frame processed yet
+ * - searching: no pose since the engine started or was reset; reason
+ *   'few-features' while the view has too little texture to track,
+ *   'image-target' while an image target is set but not found yet
+ * - tracking: a pose good enough to place models on
+ * - limited: a pose, but a degraded one; reason is 'fast-motion', 'few-features' or 'low-confidence'
+ * - lost: had a pose and no longer has one
+ *
+ * Each engine runs one; WorkerEngine mirrors the worker's on the main thread.
+ */
+
+/**
+ * @typedef {'initializing'|'searching'|'tracking'|'limited'|'lost'} TrackingStateName
+ * @typedef {{state: TrackingStateName, reason: string|null}} TrackingStatus
+ */
+
+export class TrackingStateMachine extends EventTarget {
+    constructor() {
+        super();
+
+        this.settings = {
+            minFeatures: 40,       // Fewer features while tracking is 'few-features'
+            minConfidence: 0.5,    // Lower pose confidence is 'low-confidence'
+            maxAngularSpeed: 2.5,  // rad/s of gyro rotation above which motion blur is likely
+            holdFrames: {          // Frames a new state must persist before it's entered
+                searching: 3,
+                tracking: 3,
+                limited: 5,
+                lost: 8
+            }
+        };
+
+        this.state = 'initializing';
+        this.reason = null;
+        this.hasTracked = false;
+        this.candidate = null;
+        this.candidateFrames = 0;
+    }
+
+    /**
+     * @returns {TrackingStatus}
+     */
+    get status() {
+        return { state: this.state, reason: this.reason };
+    }
+
+    /**
+     * Feed one processed frame
+     * @param {Object} result - Tracking result of the frame
+     * @param {number} [angularSpeed] - Gyro rotation speed in rad/s
+     * @returns {TrackingStatus} The state after this frame
+     */
+    update(result, angularSpeed = 0) {
+        const next = this.classify(result, angularSpeed);
+        if (result.isTracking) this.hasTracked = true;
+
+        // The engine already waited before it started relocalizing
+        if (result.isRelocalizing) {
+            this.set(next);
+            return this.status;
+        }
+
+        const key = `${next.state}:${next.reason}`;
+        if (key === `${this.state}:${this.reason}`) {
+            this.candidate = null;
+            this.candidateFrames = 0;
+        } else if (key === this.candidate) {
+            this.candidateFrames++;
+        } else {
+            this.candidate = key;
+            this.candidateFrames = 1;
+        }
+
+        if (this.candidate && this.candidateFrames >= this.settings.holdFrames[next.state]) {
+            this.set(next);
+        }
+        return this.status;
+    }
+
+    /**
+     * State this frame alone points to
+     * @returns {TrackingStatus}
+     */
+    classify(result, angularSpeed) {
+        const { minFeatures, minConfidence, maxAngularSpeed } = this.settings;
+
+        if (result.isRelocalizing) {
+            return { state: 'lost', reason: null };
+        }
+        if (this.hasTracked && !result.isTracking) {
+            return { state: 'lost', reason: null };
+        }
+        if (!result.isTracking || !result.pose) {
+            if (!result.hasFeatures) return { state: 'searching', reason: 'few-features' };
+            return { state: 'searching', reason: result.imageTarget ? 'image-target' : null };
+        }
+
+        let reason = null;
+        if (angularSpeed > maxAngularSpeed) {
+            reason = 'fast-motion';
+        } else if (result.featureCount < minFeatures) {
+            reason = 'few-features';
+        } else if ((result.pose.confidence ?? 1) < minConfidence) {
+            reason = 'low-confidence';
+        }
+
+        return { state: reason ? 'limited' : 'tracking', reason };
+    }
+
+    /**
+     * Enter a state right away, e.g. one received from a worker
+     * @param {TrackingStatus} status
+     */
+    set({ state, reason = null }) {
+        this.candidate = null;
+        this.candidateFrames = 0;
+        if (state === this.state && reason === this.reason) return;
+
+        const previous = this.state;
+        this.state = state;
+        this.reason = reason;
+        this.dispatchEvent(new CustomEvent('change', { detail: { state, reason, previous } }));
+    }
+
+    /**
+     * A reset engine starts a new world frame and searches for a pose again
+     */
+    reset() {
+        this.hasTracked = false;
+        this.set({ state: 'searching' });
+    }
+}
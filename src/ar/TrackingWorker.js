@@ -0,0 +1,93 @@
+/**
+ * Tracking Worker - Runs the OpenCV tracking pipeline off the main thread
+ * Receives camera frames as ImageBitmaps and posts tracking results back;
+ * feature visualization is drawn into a transferred OffscreenCanvas
+ *
+ * Messages in:  init, frame, settings, debug, calibration, image-target, reset
+ * Messages out: ready, result, image-target, error
+ */
+
+import { createLocalEngine } from './Engines.js';
+
+let engine = null;
+
+async function loadOpenCV(url) {
+    // Module workers can't importScripts, so run the UMD bundle with self as root
+    const response = await fetch(url);
+    const source = await response.text();
+    new Function(source).call(self);
+
+    // Depending on the build, cv is a promise or a module that initializes later
+    if (self.cv instanceof Promise) {
+        self.cv = await self.cv;
+    } else if (!self.cv.Mat) {
+        await new Promise(resolve => {
+            self.cv.onRuntimeInitialized = resolve;
+        });
+    }
+}
+
+async function init({ engineType, opencvUrl, debugCanvas, calibration, settings }) {
+    await loadOpenCV(opencvUrl);
+
+    engine = createLocalEngine(engineType, { debugCanvas });
+    engine.calibration = calibration;
+    await engine.init();
+
+    if (settings) {
+        engine.updateSettings(settings);
+    }
+
+    console.log(`[TrackingWorker] ${engine.constructor.name} ready`);
+}
+
+function processFrame({ id, bitmap, imu, motion }) {
+    Object.assign(engine.imuData, imu);
+    motion?.forEach(sample => engine.addMotionSample(sample));
+
+    const start = performance.now();
+    const result = engine.processFrame(bitmap);
+    bitmap.close();
+
+    result.processingTime = performance.now() - start;
+    self.postMessage({ type: 'result', id, result });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'init':
+                await init(message);
+                self.postMessage({ type: 'ready' });
+                break;
+            case 'frame':
+                processFrame(message);
+                break;
+            case 'settings':
+                engine.updateSettings(message.settings);
+                break;
+            case 'debug':
+                engine.setDebugVisible(message.visible);
+                break;
+            case 'calibration':
+                engine.setCalibration(message.calibration);
+                break;
+            case 'image-target':
+                engine.setImageTarget(message.target);
+                self.postMessage({ type: 'image-target' });
+                break;
+            case 'world-scale':
+                engine.setWorldScale(message.factor);
+                break;
+            case 'reset':
+                engine.reset(message.options);
+                break;
+        }
+    } catch (error) {
+        console.error('[TrackingWorker] Error:', error);
+        message.bitmap?.close();
+        self.postMessage({ type: 'error', message: error.message, during: message.type, id: message.id });
+    }
+};
@@ -2,11 +2,46 @@
  * UI Controller - Handles all user interface interactions
  */
 
+const DISTANCE_UNITS = { m: 1, cm: 0.01, mm: 0.001 };
+
+/**
+ * Meters from a typed distance such as "2.4 m", "240cm" or "2,4"; NaN if unreadable
+ */
+function parseDistance(text) {
+    const match = text.trim().toLowerCase().match(/^(\d*[.,]?\d+)\s*(m|cm|mm)?$/);
+    if (!match) return NaN;
+    
+    return parseFloat(match[1].replace(',', '.')) * DISTANCE_UNITS[match[2] ?? 'm'];
+}
+
+// One-finger gesture timing (ms) and distances (screen pixels)
+const GESTURES = {
+    longPress: 500,
+    doubleTap: 300,
+    doubleTapDistance: 40,
+    slop: 10 // Movement that turns a press on a model into a drag
+};
+
+// Value of a datetime-local input: local time, to the minute
+function toDateTimeInput(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
 export class UIController {
     constructor(app) {
         this.app = app;
         this.isDebugVisible = true; // Enable debug by default
         this.currentModelId = 'default-house';
+        this.isMeasuringScale = false; // Scene taps mark the ends of a known distance
+        this.hintTimer = null;
+        this.pendingTap = null; // Tap that becomes a double-tap if another follows soon
+        this.isShowingStudyTime = false; // Scene hint shows the time of the shadow study's playing day
         
         this.init();
     }
@@ -32,6 +67,17 @@ export class UIController {
             this.onReset();
         });
         
+        // Selected instance buttons
+        document.getElementById('btn-duplicate').addEventListener('click', () => {
+            this.app.duplicateSelected();
+            this.onSelectionChange();
+        });
+        
+        document.getElementById('btn-delete').addEventListener('click', () => {
+            this.app.deleteSelected();
+            this.onSelectionChange();
+        });
+        
         // Models panel button
         document.getElementById('btn-models').addEventListener('click', () => {
             this.showPanel('model-panel');
@@ -56,6 +102,22 @@ export class UIController {
             this.hidePanel('settings-panel');
         });
         
+        document.getElementById('close-calibration-panel').addEventListener('click', () => {
+            this.hidePanel('calibration-panel');
+        });
+        
+        document.getElementById('close-target-panel').addEventListener('click', () => {
+            this.hidePanel('target-panel');
+        });
+        
+        document.getElementById('close-scale-panel').addEventListener('click', () => {
+            this.hidePanel('scale-panel');
+        });
+        
+        document.getElementById('close-study-panel').addEventListener('click', () => {
+            this.hidePanel('study-panel');
+        });
+        
         // Model selection
         document.querySelectorAll('.model-item').forEach(item => {
             item.addEventListener('click', (e) => {
@@ -90,28 +152,201 @@ export class UIController {
             this.setDebugVisible(e.target.checked);
         });
         
+        // Tracking engine
+        this.setEngineType(this.app.engineType);
+        document.getElementById('setting-engine').addEventListener('change', (e) => {
+            this.onEngineSelect(e.target.value);
+        });
+        
+        document.getElementById('setting-engine-fallback').addEventListener('change', (e) => {
+            this.app.setAutoFallback(e.target.checked);
+        });
+        
         document.getElementById('setting-features').addEventListener('input', (e) => {
             const features = parseInt(e.target.value);
-            this.app.arEngine.updateSettings({ maxFeatures: features });
+            this.app.updateEngineSettings({ maxFeatures: features });
         });
         
         document.getElementById('setting-sensitivity').addEventListener('input', (e) => {
             const sensitivity = parseInt(e.target.value);
             const threshold = 11 - sensitivity; // Invert for intuitive control
-            this.app.arEngine.updateSettings({ ransacThreshold: threshold });
+            this.app.updateEngineSettings({ ransacThreshold: threshold });
+        });
+        
+        // Pose smoothing: low for handheld, high for tripod demos (0 = off)
+        document.getElementById('setting-smoothing').addEventListener('input', (e) => {
+            const smoothing = parseInt(e.target.value);
+            this.app.setPoseSmoothing({
+                enabled: smoothing > 0,
+                minCutoff: Math.pow(2, 2 - smoothing * 0.5) // 2.8 Hz .. 0.125 Hz
+            });
+        });
+        
+        document.getElementById('setting-smoothing-response').addEventListener('input', (e) => {
+            const response = parseInt(e.target.value);
+            this.app.setPoseSmoothing({ beta: response * 2 });
         });
         
         document.getElementById('setting-shadow').addEventListener('change', (e) => {
             this.app.sceneManager.setShadowEnabled(e.target.checked);
         });
         
+        document.getElementById('setting-light-estimation').addEventListener('change', (e) => {
+            this.app.sceneManager.setLightEstimation(e.target.checked);
+        });
+        
         document.getElementById('setting-ambient').addEventListener('input', (e) => {
             const intensity = parseInt(e.target.value) / 100;
             this.app.sceneManager.setAmbientIntensity(intensity);
         });
         
+        // Camera calibration
+        document.getElementById('btn-calibrate').addEventListener('click', () => {
+            this.hidePanel('settings-panel');
+            this.showPanel('calibration-panel');
+            this.updateCalibrationStatus();
+        });
+        
+        document.getElementById('btn-calib-capture').addEventListener('click', () => {
+            this.onCalibrationCapture();
+        });
+        
+        document.getElementById('btn-calib-run').addEventListener('click', () => {
+            this.onCalibrationRun();
+        });
+        
+        document.getElementById('btn-calib-clear').addEventListener('click', () => {
+            this.app.resetCalibration();
+            this.updateCalibrationStatus();
+        });
+        
+        // Metric scale
+        document.getElementById('btn-scale').addEventListener('click', () => {
+            this.hidePanel('settings-panel');
+            this.showPanel('scale-panel');
+        });
+        
+        document.getElementById('btn-scale-measure').addEventListener('click', () => {
+            this.startScaleMeasurement();
+        });
+        
+        document.getElementById('btn-scale-apply').addEventListener('click', () => {
+            this.onScaleApply();
+        });
+        
+        document.getElementById('btn-scale-clear').addEventListener('click', () => {
+            this.onScaleClear();
+        });
+        
+        document.getElementById('ar-canvas').addEventListener('click', (e) => {
+            if (this.isMeasuringScale) {
+                this.onScalePoint(this.app.coordinates.clientToScreen(e.clientX, e.clientY));
+            }
+        });
+        
+        // Image target
+        document.getElementById('btn-image-target').addEventListener('click', () => {
+            this.hidePanel('settings-panel');
+            this.showPanel('target-panel');
+        });
+        
+        document.getElementById('btn-target-load').addEventListener('click', () => {
+            document.getElementById('target-upload').click();
+        });
+        
+        document.getElementById('target-upload').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.onImageTargetUpload(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('btn-target-clear').addEventListener('click', () => {
+            this.onImageTargetClear();
+        });
+        
+        // A corrected size or mounting applies to the loaded target
+        for (const id of ['target-width', 'target-mounting']) {
+            document.getElementById(id).addEventListener('change', () => {
+                this.onImageTargetPlacement();
+            });
+        }
+        
+        // Shadow study
+        const study = this.app.shadowStudy;
+        study.addEventListener('change', () => this.updateStudyStatus());
+        
+        document.getElementById('btn-shadow-study').addEventListener('click', () => {
+            this.hidePanel('settings-panel');
+            this.showPanel('study-panel');
+            this.updateStudyStatus();
+            
+            // Prefilled from geolocation the first time
+            if (!study.hasLocation) {
+                this.onStudyLocate();
+            }
+        });
+        
+        document.getElementById('study-enabled').addEventListener('change', (e) => {
+            study.update({ enabled: e.target.checked });
+        });
+        
+        for (const id of ['study-latitude', 'study-longitude']) {
+            document.getElementById(id).addEventListener('change', () => {
+                study.update({
+                    latitude: parseFloat(document.getElementById('study-latitude').value),
+                    longitude: parseFloat(document.getElementById('study-longitude').value)
+                });
+            });
+        }
+        
+        document.getElementById('btn-study-locate').addEventListener('click', () => {
+            this.onStudyLocate();
+        });
+        
+        document.getElementById('study-time').addEventListener('change', (e) => {
+            const date = new Date(e.target.value);
+            if (!isNaN(date)) {
+                study.update({ date });
+            }
+        });
+        
+        document.getElementById('study-north').addEventListener('change', (e) => {
+            const northOffset = parseFloat(e.target.value);
+            if (Number.isFinite(northOffset)) {
+                study.update({ northOffset: ((northOffset % 360) + 360) % 360 });
+            }
+        });
+        
+        document.getElementById('btn-study-north').addEventListener('click', () => {
+            this.onStudyNorth();
+        });
+        
+        document.getElementById('btn-study-play').addEventListener('click', () => {
+            this.onStudyPlay();
+        });
+        
+        // Session recording and replay
+        document.getElementById('btn-record').addEventListener('click', () => {
+            this.onRecordToggle();
+        });
+        
+        document.getElementById('btn-replay').addEventListener('click', () => {
+            if (this.app.replay) {
+                this.app.stopReplay();
+            } else {
+                document.getElementById('replay-upload').click();
+            }
+        });
+        
+        document.getElementById('replay-upload').addEventListener('change', (e) => {
+            this.onReplayFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        
         // Touch gestures for model manipulation
         this.setupTouchGestures();
+        this.setupPointerGestures();
         
         // Panel backdrop clicks
         document.querySelectorAll('.panel').forEach(panel => {
@@ -171,6 +406,127 @@ export class UIController {
         });
     }
 
+    /**
+     * One-finger gestures on the scene, alongside the two-finger pinch and rotate:
+     * - tap the floor to place a model or move the selected one there; while the
+     *   finger is down a ghost of the model shows where it will go
+     * - tap a placed model to select it
+     * - drag a placed model, or long-press it, to lift it and slide it along the ground
+     * - double-tap to bring the model in front of the camera
+     * A second finger cancels whatever the first one started.
+     */
+    setupPointerGestures() {
+        const canvas = document.getElementById('ar-canvas');
+        let gesture = null; // Finger on the scene: {pointerId, start, instance, isDragging, timer}
+        
+        // Pointer events stop arriving once the browser takes a touch for scrolling
+        canvas.style.touchAction = 'none';
+        
+        const screenPoint = (e) => this.app.coordinates.clientToScreen(e.clientX, e.clientY);
+        const lift = (point) => {
+            clearTimeout(gesture.timer);
+            gesture.isDragging = true;
+            this.app.liftInstance(gesture.instance, point);
+            this.onSelectionChange();
+        };
+        const end = () => {
+            clearTimeout(gesture.timer);
+            if (gesture.isDragging) {
+                this.app.dropInstance();
+            }
+            gesture = null;
+        };
+        const cancel = () => {
+            if (gesture) end();
+            this.app.previewPlacement(null);
+        };
+        
+        canvas.addEventListener('pointerdown', (e) => {
+            // A second finger starts a pinch, not a placement
+            if (!e.isPrimary || this.isMeasuringScale) {
+                cancel();
+                return;
+            }
+            
+            const point = screenPoint(e);
+            gesture = {
+                pointerId: e.pointerId,
+                start: point,
+                instance: this.app.sceneManager.instanceAt(point),
+                isDragging: false,
+                timer: null
+            };
+            
+            if (gesture.instance) {
+                gesture.timer = setTimeout(() => {
+                    lift(point);
+                    navigator.vibrate?.(15);
+                }, GESTURES.longPress);
+            } else {
+                this.app.previewPlacement(point);
+            }
+        });
+        
+        canvas.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== gesture?.pointerId) return;
+            
+            const point = screenPoint(e);
+            if (!gesture.isDragging && gesture.instance && distance(point, gesture.start) > GESTURES.slop) {
+                lift(gesture.start);
+            }
+            
+            if (gesture.isDragging) {
+                this.app.dragInstance(point);
+            } else if (!gesture.instance) {
+                this.app.previewPlacement(point);
+            }
+        });
+        
+        canvas.addEventListener('pointerup', (e) => {
+            if (e.pointerId !== gesture?.pointerId) return;
+            
+            const wasDragging = gesture.isDragging;
+            end();
+            if (!wasDragging) {
+                this.onSceneTap(screenPoint(e));
+            }
+        });
+        
+        canvas.addEventListener('pointercancel', cancel);
+    }
+
+    /**
+     * A single tap waits out the double-tap interval before it places or selects
+     */
+    onSceneTap(point) {
+        const previous = this.pendingTap;
+        clearTimeout(previous?.timer);
+        this.pendingTap = null;
+        
+        if (previous && distance(point, previous.point) < GESTURES.doubleTapDistance) {
+            this.app.previewPlacement(null);
+            this.onRecenter(point);
+            return;
+        }
+        
+        this.pendingTap = {
+            point,
+            timer: setTimeout(() => {
+                this.pendingTap = null;
+                this.onPlaceAt(point);
+            }, GESTURES.doubleTap)
+        };
+    }
+
+    onRecenter(point) {
+        try {
+            this.app.recenterModel(point);
+            this.onSelectionChange();
+        } catch (error) {
+            this.showSceneHint(error.message, 2000);
+        }
+    }
+
     getTouchDistance(touches) {
         const dx = touches[0].clientX - touches[1].clientX;
         const dy = touches[0].clientY - touches[1].clientY;
@@ -185,24 +541,355 @@ export class UIController {
 
     async onPlaceModel() {
         if (this.app.placeModel()) {
-            // Show success feedback
-            const btn = document.getElementById('btn-place');
-            btn.innerHTML = '<span>✅</span><span>Placed!</span>';
-            
-            setTimeout(() => {
-                btn.innerHTML = '<span>📍</span><span>Place Model</span>';
-            }, 1500);
+            this.showPlaced();
+            this.onSelectionChange();
         }
     }
 
+    onPlaceAt(point) {
+        try {
+            if (this.app.tapScene(point) === 'placed') {
+                this.showPlaced();
+            }
+            this.onSelectionChange();
+        } catch (error) {
+            this.showSceneHint(error.message, 2000);
+        }
+    }
+
+    /**
+     * The sliders show the selected instance, or what the next placement gets;
+     * duplicate and delete need a selection
+     */
+    onSelectionChange() {
+        const { selected, modelScale, modelRotation } = this.app.sceneManager;
+        const scale = selected?.scale ?? modelScale;
+        const rotation = Math.round(selected?.rotation ?? modelRotation);
+        
+        document.getElementById('scale-slider').value = scale;
+        document.getElementById('scale-value').textContent = scale.toFixed(1) + 'x';
+        document.getElementById('rotation-slider').value = rotation;
+        document.getElementById('rotation-value').textContent = rotation + '°';
+        
+        document.getElementById('btn-duplicate').classList.toggle('hidden', !selected);
+        document.getElementById('btn-delete').classList.toggle('hidden', !selected);
+    }
+
+    showPlaced() {
+        // Show success feedback
+        const btn = document.getElementById('btn-place');
+        btn.innerHTML = '<span>✅</span><span>Placed!</span>';
+        
+        setTimeout(() => {
+            btn.innerHTML = '<span>📍</span><span>Place Model</span>';
+        }, 1500);
+    }
+
     onReset() {
         this.app.resetModel();
+        this.onSelectionChange();
+    }
+
+    async onEngineSelect(type) {
+        const select = document.getElementById('setting-engine');
+        select.disabled = true;
         
-        // Reset sliders
-        document.getElementById('scale-slider').value = 1;
-        document.getElementById('scale-value').textContent = '1.0x';
-        document.getElementById('rotation-slider').value = 0;
-        document.getElementById('rotation-value').textContent = '0°';
+        try {
+            await this.app.selectEngine(type);
+        } catch (error) {
+            console.warn('[UI] Engine switch failed:', error);
+            alert(error.message);
+        } finally {
+            select.disabled = false;
+            this.setEngineType(this.app.engineType);
+        }
+    }
+
+    setEngineType(type) {
+        document.getElementById('setting-engine').value = type;
+    }
+
+    onCalibrationCapture() {
+        const result = this.app.captureCalibrationView({
+            cols: parseInt(document.getElementById('calib-cols').value),
+            rows: parseInt(document.getElementById('calib-rows').value),
+            squareSize: parseFloat(document.getElementById('calib-square').value) / 1000
+        });
+        
+        document.getElementById('calib-views').textContent = result.viewCount;
+        document.getElementById('calib-min-views').textContent = result.minViews;
+        document.getElementById('btn-calib-run').disabled = !result.canCalibrate;
+        document.getElementById('calib-status').textContent = result.found
+            ? 'Checkerboard captured'
+            : 'Checkerboard not found - hold it fully in view';
+    }
+
+    onCalibrationRun() {
+        const status = document.getElementById('calib-status');
+        
+        try {
+            const calibration = this.app.runCalibration();
+            status.textContent = `Calibrated (RMS ${calibration.rms.toFixed(2)} px)`;
+        } catch (error) {
+            console.error('Calibration failed:', error);
+            status.textContent = 'Calibration failed - capture more varied views';
+        }
+        
+        document.getElementById('calib-views').textContent = 0;
+        document.getElementById('btn-calib-run').disabled = true;
+    }
+
+    startScaleMeasurement() {
+        this.isMeasuringScale = true;
+        this.hidePanel('scale-panel');
+        this.showSceneHint('Tap the first point on the ground');
+    }
+
+    onScalePoint(point) {
+        try {
+            const { count, distance } = this.app.addScalePoint(point);
+            
+            if (count < 2) {
+                this.showSceneHint('Tap the second point');
+                return;
+            }
+            
+            // Both ends marked - ask for the real distance
+            this.isMeasuringScale = false;
+            this.showSceneHint(null);
+            document.getElementById('scale-measured').textContent = `${distance.toFixed(2)} units`;
+            document.getElementById('btn-scale-apply').disabled = false;
+            this.showPanel('scale-panel');
+            document.getElementById('scale-distance').focus();
+        } catch (error) {
+            this.showSceneHint(error.message);
+        }
+    }
+
+    onScaleApply() {
+        const status = document.getElementById('scale-status');
+        const distance = parseDistance(document.getElementById('scale-distance').value);
+        
+        try {
+            this.app.calibrateScale(distance);
+            status.textContent = `Calibrated on ${distance.toFixed(2)} m`;
+            document.getElementById('btn-scale-clear').disabled = false;
+            
+            // 1.0x is now the models' real size
+            this.onSelectionChange();
+        } catch (error) {
+            console.warn('[UI] Scale calibration failed:', error);
+            status.textContent = error.message;
+            return;
+        }
+        
+        document.getElementById('scale-measured').textContent = '-';
+        document.getElementById('btn-scale-apply').disabled = true;
+        this.hidePanel('scale-panel');
+    }
+
+    onScaleClear() {
+        try {
+            this.app.resetScaleCalibration();
+            document.getElementById('scale-status').textContent = 'Not calibrated - sizes are estimates';
+            document.getElementById('scale-measured').textContent = '-';
+            document.getElementById('btn-scale-apply').disabled = true;
+            document.getElementById('btn-scale-clear').disabled = true;
+            this.onSelectionChange();
+        } catch (error) {
+            console.warn('[UI] Resetting the scale failed:', error);
+            alert(error.message);
+        }
+    }
+
+    /**
+     * @param {string|null} message - null hides the hint
+     * @param {number} [duration] - Hide it after this many ms; kept until replaced if omitted
+     */
+    showSceneHint(message, duration) {
+        const hint = document.getElementById('scene-hint');
+        hint.textContent = message ?? '';
+        hint.classList.toggle('hidden', !message);
+        
+        clearTimeout(this.hintTimer);
+        if (message && duration) {
+            this.hintTimer = setTimeout(() => this.showSceneHint(null), duration);
+        }
+    }
+
+    async onStudyLocate() {
+        const status = document.getElementById('study-location-status');
+        status.textContent = 'Locating...';
+        
+        try {
+            await this.app.shadowStudy.locate();
+            status.textContent = 'Location of this phone';
+        } catch (error) {
+            console.warn('[UI] Shadow study location failed:', error);
+            status.textContent = error.message;
+        }
+    }
+
+    onStudyNorth() {
+        try {
+            this.app.setNorthFromCamera();
+            this.hidePanel('study-panel');
+            this.showSceneHint('North set to where the camera points', 2000);
+        } catch (error) {
+            this.showSceneHint(error.message, 2000);
+        }
+    }
+
+    onStudyPlay() {
+        const study = this.app.shadowStudy;
+        
+        try {
+            if (study.isPlaying) {
+                study.pause();
+            } else {
+                study.play();
+                // Out of the way of the shadows
+                this.hidePanel('study-panel');
+            }
+        } catch (error) {
+            document.getElementById('study-sun').textContent = error.message;
+        }
+    }
+
+    /**
+     * Show the study's time, place and sun
+     */
+    updateStudyStatus() {
+        const study = this.app.shadowStudy;
+        const sun = study.solarPosition;
+        const latitude = document.getElementById('study-latitude');
+        const longitude = document.getElementById('study-longitude');
+        
+        document.getElementById('study-enabled').checked = study.enabled;
+        document.getElementById('study-time').value = toDateTimeInput(study.date);
+        document.getElementById('study-north').value = Math.round(study.northOffset);
+        if (study.hasLocation && document.activeElement !== latitude && document.activeElement !== longitude) {
+            latitude.value = study.latitude.toFixed(4);
+            longitude.value = study.longitude.toFixed(4);
+        }
+        
+        document.getElementById('study-sun').textContent = !sun ? 'Sun: enter the location'
+            : sun.altitude <= 0 ? 'Sun: below the horizon'
+            : `Sun: ${Math.round(sun.azimuth)}° from north, ${Math.round(sun.altitude)}° high`;
+        document.getElementById('btn-study-play').textContent = study.isPlaying ? '⏸ Pause' : '▶ Play Day';
+        
+        // Time of day over the scene while the panel is out of the way
+        if (study.isPlaying) {
+            this.showSceneHint(`☀️ ${study.date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+        } else if (this.isShowingStudyTime) {
+            this.showSceneHint(null);
+        }
+        this.isShowingStudyTime = study.isPlaying;
+    }
+
+    getTargetPlacement() {
+        return {
+            physicalWidth: parseFloat(document.getElementById('target-width').value) / 100,
+            mounting: document.getElementById('target-mounting').value
+        };
+    }
+
+    async onImageTargetUpload(file) {
+        const status = document.getElementById('target-status');
+        const placement = this.getTargetPlacement();
+        
+        if (!(placement.physicalWidth > 0)) {
+            status.textContent = 'Enter the printed width first';
+            return;
+        }
+        
+        status.textContent = `Learning ${file.name}...`;
+        
+        try {
+            await this.app.loadImageTarget(file, placement);
+            status.textContent = `${file.name} (${(placement.physicalWidth * 100).toFixed(0)} cm on the ${placement.mounting})`;
+            this.setEngineType(this.app.engineType);
+        } catch (error) {
+            console.warn('[UI] Image target failed:', error);
+            status.textContent = error.message;
+        }
+        
+        document.getElementById('btn-target-clear').disabled = !this.app.imageTarget;
+    }
+
+    async onImageTargetPlacement() {
+        const target = this.app.imageTarget;
+        const placement = this.getTargetPlacement();
+        if (!target || !(placement.physicalWidth > 0)) return;
+        
+        try {
+            await this.app.setImageTarget({ ...target, ...placement });
+            document.getElementById('target-status').textContent =
+                `${target.name} (${(placement.physicalWidth * 100).toFixed(0)} cm on the ${placement.mounting})`;
+        } catch (error) {
+            console.warn('[UI] Image target update failed:', error);
+        }
+    }
+
+    async onImageTargetClear() {
+        try {
+            await this.app.setImageTarget(null);
+            document.getElementById('target-status').textContent = 'No image target - markerless tracking';
+            document.getElementById('btn-target-clear').disabled = true;
+        } catch (error) {
+            console.warn('[UI] Clearing the image target failed:', error);
+            alert(error.message);
+        }
+    }
+
+    async onRecordToggle() {
+        const button = document.getElementById('btn-record');
+        
+        try {
+            if (this.app.recorder?.isRecording) {
+                button.disabled = true;
+                const session = await this.app.stopRecording();
+                console.log(`[UI] Session saved (${session.log.frames.length} frames)`);
+                button.textContent = 'Record';
+            } else {
+                this.app.startRecording();
+                button.textContent = 'Stop & Save';
+            }
+        } catch (error) {
+            console.warn('[UI] Recording failed:', error);
+            button.textContent = 'Record';
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async onReplayFiles(files) {
+        const button = document.getElementById('btn-replay');
+        const status = document.getElementById('replay-status');
+        
+        this.hidePanel('settings-panel');
+        button.textContent = 'Stop';
+        
+        try {
+            const stats = await this.app.replaySession(files, (frame, total) => {
+                status.textContent = `(${frame}/${total})`;
+            });
+            status.textContent = `(${stats.trackedReplayed}/${stats.frames} tracked, ` +
+                `${stats.trackingMismatches} differ from recording)`;
+        } catch (error) {
+            console.warn('[UI] Replay failed:', error);
+            status.textContent = `(${error.message})`;
+        } finally {
+            button.textContent = 'Load...';
+        }
+    }
+
+    updateCalibrationStatus() {
+        const calibration = this.app.getCalibration();
+        
+        document.getElementById('calib-status').textContent = calibration
+            ? `Calibrated (RMS ${calibration.rms.toFixed(2)} px)`
+            : 'Using estimated intrinsics';
     }
 
     async onModelSelect(modelId) {
@@ -235,7 +922,10 @@ export class UIController {
         const success = await this.app.loadModel(modelId);
         if (success) {
             this.currentModelId = modelId;
-            this.onReset(); // Reset position when loading new model
+            
+            // Taps place the new model rather than move a placed one
+            this.app.sceneManager.select(null);
+            this.onSelectionChange();
         }
     }
 
@@ -0,0 +1,293 @@
+/**
+ * Worker Engine - Main-thread proxy for an AR engine running in a Web Worker
+ * Exposes the same interface as AREngine / AREngineSimple, but processFrame()
+ * never blocks: it hands the frame to the worker and returns the latest result
+ */
+
+import { loadCalibration } from './CameraCalibration.js';
+import { motionSample } from './OrientationFilter.js';
+import { scalePosition } from './PoseMath.js';
+import { TrackingStateMachine } from './TrackingState.js';
+
+const MAX_BUFFERED_SAMPLES = 120;
+
+export class WorkerEngine {
+    /**
+     * @param {'orb'|'hybrid'|'lk'} engineType - See ENGINE_TYPES in Engines.js
+     */
+    constructor(engineType = 'orb') {
+        this.engineType = engineType;
+        this.worker = null;
+        this.isReady = false;
+        this.frameInFlight = false;
+        this.frameId = 0;
+        this.resetFrameId = 0; // Results of frames sent before the last reset are stale
+
+        // Mirrors of the engine state used by the app
+        this.isTracking = false;
+        this.trackingState = new TrackingStateMachine(); // Follows the worker's, emits on this thread
+        this.currentPose = null;
+        this.settings = {};
+
+        this.imuData = { alpha: 0, beta: 0, gamma: 0 };
+        this.motionSamples = []; // devicemotion since the last frame, fused in the worker
+        this.pending = null; // { id, resolve } of a processFrameAsync() call
+        this.pendingTarget = null; // { resolve, reject } of a setImageTarget() call
+        this.captureTimes = new Map(); // Frame id -> performance.now() when it was captured
+
+        this.latestResult = {
+            isTracking: false,
+            hasFeatures: false,
+            featureCount: 0,
+            planeCount: 0,
+            pose: null,
+            imu: this.imuData
+        };
+
+        this.debugCanvas = document.getElementById('debug-canvas');
+        this.showDebug = false;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function' &&
+            typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function' &&
+            document.getElementById('debug-canvas') !== null;
+    }
+
+    async init() {
+        this.worker = new Worker(new URL('./TrackingWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.onMessage(event.data);
+
+        // Feature visualization is drawn by the worker
+        const offscreen = this.debugCanvas.transferControlToOffscreen();
+        const video = document.getElementById('camera-feed');
+
+        const ready = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('Tracking worker start timeout')), 30000);
+
+            this.onReady = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            this.onInitError = (message) => {
+                clearTimeout(timeout);
+                reject(new Error(`Tracking worker failed: ${message}`));
+            };
+        });
+
+        this.worker.postMessage({
+            type: 'init',
+            engineType: this.engineType,
+            opencvUrl: document.getElementById('opencv-script').src,
+            debugCanvas: offscreen,
+            calibration: loadCalibration(video.videoWidth, video.videoHeight)
+        }, [offscreen]);
+
+        this.setupIMU();
+
+        await ready;
+        this.isReady = true;
+        console.log(`[WorkerEngine] Tracking runs in a worker (${this.engineType})`);
+    }
+
+    onMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.onReady?.();
+                break;
+            case 'result':
+                this.frameInFlight = false;
+
+                if (message.id > this.resetFrameId) {
+                    // Results arrive frames late; say which frame they describe
+                    this.latestResult = { ...message.result, capturedAt: this.captureTimes.get(message.id) };
+                    this.isTracking = message.result.isTracking;
+                    if (message.result.pose) {
+                        this.currentPose = message.result.pose;
+                    }
+                    this.trackingState.set(message.result.trackingState);
+                }
+                this.resolvePending(message.id);
+                this.captureTimes.delete(message.id);
+                break;
+            case 'image-target':
+                this.pendingTarget?.resolve();
+                this.pendingTarget = null;
+                break;
+            case 'error':
+                if (message.during === 'init') {
+                    this.onInitError?.(message.message);
+                } else if (message.during === 'image-target') {
+                    this.pendingTarget?.reject(new Error(message.message));
+                    this.pendingTarget = null;
+                } else if (message.during === 'frame') {
+                    this.frameInFlight = false;
+                    this.resolvePending(message.id);
+                    this.captureTimes.delete(message.id);
+                }
+                console.warn('[WorkerEngine] Worker error:', message.message);
+                break;
+        }
+    }
+
+    setupIMU() {
+        if (!window.DeviceOrientationEvent) return;
+
+        this.onDeviceOrientation = (event) => {
+            this.imuData.alpha = event.alpha || 0;
+            this.imuData.beta = event.beta || 0;
+            this.imuData.gamma = event.gamma || 0;
+        };
+        this.onDeviceMotion = (event) => {
+            this.addMotionSample(motionSample(event));
+        };
+
+        const bind = () => {
+            window.addEventListener('deviceorientation', this.onDeviceOrientation);
+
+            // iOS grants motion and orientation access together
+            window.addEventListener('devicemotion', this.onDeviceMotion);
+        };
+
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            // iOS 13+
+            document.body.addEventListener('click', async () => {
+                try {
+                    if (await DeviceOrientationEvent.requestPermission() === 'granted') {
+                        bind();
+                    }
+                } catch (e) {
+                    console.warn('[WorkerEngine] IMU permission denied:', e);
+                }
+            }, { once: true });
+        } else {
+            bind();
+        }
+    }
+
+    addMotionSample(sample) {
+        this.motionSamples.push(sample);
+        if (this.motionSamples.length > MAX_BUFFERED_SAMPLES) {
+            this.motionSamples.shift();
+        }
+    }
+
+    /**
+     * Queue the current video frame for tracking and return the most recent
+     * result; at most one frame is in flight so slow tracking drops frames
+     * instead of blocking the render loop
+     */
+    processFrame(video) {
+        if (this.isReady && !this.frameInFlight && video.videoWidth > 0) {
+            this.frameInFlight = true;
+            const capturedAt = performance.now();
+
+            createImageBitmap(video)
+                .then((bitmap) => this.sendFrame(bitmap, capturedAt))
+                .catch((error) => {
+                    this.frameInFlight = false;
+                    console.warn('[WorkerEngine] Frame capture failed:', error);
+                });
+        }
+
+        return this.latestResult;
+    }
+
+    /**
+     * Process one frame and wait for its result (replay, benchmarks)
+     * @returns {Promise<Object>}
+     */
+    async processFrameAsync(source) {
+        const capturedAt = performance.now();
+        const bitmap = await createImageBitmap(source);
+        this.frameInFlight = true;
+
+        return new Promise((resolve) => {
+            this.pending = { id: this.sendFrame(bitmap, capturedAt), resolve };
+        });
+    }
+
+    sendFrame(bitmap, capturedAt) {
+        const id = ++this.frameId;
+        this.captureTimes.set(id, capturedAt);
+        const motion = this.motionSamples.splice(0);
+        this.worker.postMessage({ type: 'frame', id, bitmap, imu: { ...this.imuData }, motion }, [bitmap]);
+        return id;
+    }
+
+    resolvePending(id) {
+        if (this.pending?.id === id) {
+            const { resolve } = this.pending;
+            this.pending = null;
+            resolve(this.latestResult);
+        }
+    }
+
+    setDebugVisible(visible) {
+        this.showDebug = visible;
+        this.debugCanvas?.classList.toggle('visible', visible);
+        this.worker?.postMessage({ type: 'debug', visible });
+    }
+
+    updateSettings(settings) {
+        Object.assign(this.settings, settings);
+        this.worker?.postMessage({ type: 'settings', settings });
+    }
+
+    reloadCalibration() {
+        const video = document.getElementById('camera-feed');
+        const calibration = loadCalibration(video.videoWidth, video.videoHeight);
+        this.worker?.postMessage({ type: 'calibration', calibration });
+    }
+
+    /**
+     * The worker learns the target's features and starts a new world frame
+     * @returns {Promise<void>} Rejects if the worker can't use the image
+     */
+    setImageTarget(target) {
+        this.clearMirror();
+
+        return new Promise((resolve, reject) => {
+            this.pendingTarget = { resolve, reject };
+            this.worker.postMessage({ type: 'image-target', target });
+        });
+    }
+
+    /**
+     * Results of frames already sent are in the old scale and dropped
+     */
+    setWorldScale(factor) {
+        if (this.currentPose) {
+            this.currentPose = scalePosition(this.currentPose, factor);
+        }
+        if (this.latestResult.pose) {
+            this.latestResult = { ...this.latestResult, pose: scalePosition(this.latestResult.pose, factor) };
+        }
+        this.resetFrameId = this.frameId;
+        this.worker?.postMessage({ type: 'world-scale', factor });
+    }
+
+    reset(options = {}) {
+        this.clearMirror();
+        this.worker?.postMessage({ type: 'reset', options });
+    }
+
+    clearMirror() {
+        this.isTracking = false;
+        this.currentPose = null;
+        this.resetFrameId = this.frameId;
+        this.trackingState.reset();
+        this.motionSamples = [];
+    }
+
+    dispose() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.isReady = false;
+
+        window.removeEventListener('deviceorientation', this.onDeviceOrientation);
+        window.removeEventListener('devicemotion', this.onDeviceMotion);
+    }
+}
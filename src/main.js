@@ -2,25 +2,79 @@
  * AR Architecture App - Main Entry Point
  * Markerless AR using OpenCV.js for SLAM and Three.js for rendering
  * 
- * Choose between two AR engine implementations:
- * - AREngine: Full ORB feature detection + descriptor matching (more accurate, slower)
- * - AREngineSimple: Lucas-Kanade optical flow (faster, better for mobile)
+ * Three AR engine implementations, chosen in the settings panel or with ?engine=:
+ * - orb (AREngine): Full ORB feature detection + descriptor matching (more accurate, slower)
+ * - hybrid (AREngineHybrid): ORB on keyframes, Lucas-Kanade flow in between
+ * - lk (AREngineSimple): Lucas-Kanade optical flow (faster, better for mobile)
+ * The app falls back to another engine when tracking is too slow or keeps failing.
+ * 
+ * Where OffscreenCanvas is available the engine runs in a Web Worker,
+ * so tracking never blocks rendering or touch gestures.
  */
 
-// import { AREngineSimple as AREngine } from './ar/AREngineSimple.js'; // Using simpler engine by default
-import { AREngine } from './ar/AREngine.js'; // Full ORB-SLAM engine for better outdoor tracking
+import {
+    assertEngine,
+    createLocalEngine,
+    ENGINE_TYPES,
+    loadEngineType,
+    saveEngineType
+} from './ar/Engines.js';
+import { EngineMonitor } from './ar/EngineMonitor.js';
+import { CoordinateTransform } from './ar/CoordinateTransform.js';
+import { FRAME_BUDGET, FrameScheduler } from './ar/FrameScheduler.js';
+import { readTargetImage } from './ar/ImageTarget.js';
+import { WorkerEngine } from './ar/WorkerEngine.js';
 import { SceneManager } from './ar/SceneManager.js';
 import { UIController } from './ar/UIController.js';
 import { ModelLoader } from './ar/ModelLoader.js';
+import { PoseSmoother } from './ar/PoseSmoother.js';
+import { downloadSession, SessionRecorder } from './ar/SessionRecorder.js';
+import { SessionReplay } from './ar/SessionReplay.js';
+import { ShadowStudy } from './ar/ShadowStudy.js';
+import {
+    CameraCalibrator,
+    clearCalibration,
+    loadCalibration,
+    saveCalibration
+} from './ar/CameraCalibration.js';
+import { hullContains } from './ar/PoseMath.js';
+
+// How far outside a floor's tracked features a tap still counts, as a fraction
+// of the frame width: the features rarely reach the edges of the surface
+const SURFACE_MARGIN = 0.03;
 
 class ARArchitectureApp {
     constructor() {
         this.arEngine = null;
+        this.engineType = loadEngineType();
+        this.engineSettings = {}; // Carried over when the engine is switched
+        this.engineMonitor = new EngineMonitor();
+        this.frameScheduler = new FrameScheduler();
+        this.autoFallback = true;
+        this.abandonedEngines = new Set(); // Left automatically, not fallen back to again
+        this.isSwitchingEngine = false;
+        this.imageTarget = null; // Printout the world is anchored to, see loadImageTarget()
+        this.worldScale = 1; // Applied to every engine's world frame, see calibrateScale()
+        this.isScaleCalibrated = false;
+        this.scalePoints = []; // Ground points tapped for the scale measurement
+        this.surfaces = null; // Floors of the last tracked frame and its size, see surfacePointAt()
+        this.drag = null; // Instance being slid along the ground and where it was grabbed
+        this.coordinates = null; // Video pixels <-> screen <-> NDC, see CoordinateTransform
         this.sceneManager = null;
         this.uiController = null;
         this.modelLoader = null;
         this.isInitialized = false;
         this.currentModel = null;
+        this.calibrator = null;
+        this.poseSmoother = new PoseSmoother();
+        this.lastResult = null; // Tracking result last shown, see handleTrackingResult()
+        this.smoothedPose = null; // Its pose after the PoseSmoother
+        this.shadowStudy = new ShadowStudy(); // Sun for a date, time and place instead of the camera image
+        this.recorder = null;
+        this.replay = null;
+        
+        // Status UI, scene and log follow the engine's tracking state
+        this.onTrackingStateChange = (event) => this.handleTrackingStateChange(event.detail);
         
         this.init();
     }
@@ -54,16 +108,20 @@ class ARArchitectureApp {
             // Initialize camera
             this.updateLoadingStatus('Accessing camera...', 40);
             await this.initCamera();
+            this.coordinates = new CoordinateTransform(document.getElementById('camera-feed'));
             
             // Initialize AR Engine
             this.updateLoadingStatus('Initializing AR tracking...', 60);
-            this.arEngine = new AREngine();
-            await this.arEngine.init();
+            this.arEngine = await this.startEngine(this.engineType);
+            this.showEngineInfo(this.engineType);
             
             // Initialize Three.js scene
             this.updateLoadingStatus('Setting up 3D scene...', 75);
-            this.sceneManager = new SceneManager();
+            this.sceneManager = new SceneManager(this.coordinates);
             await this.sceneManager.init();
+            this.shadowStudy.addEventListener('change', () => {
+                this.sceneManager.setSunPosition(this.shadowStudy.sunPosition);
+            });
             
             // Initialize model loader
             this.updateLoadingStatus('Preparing model loader...', 85);
@@ -89,6 +147,302 @@ class ARArchitectureApp {
         }
     }
 
+    createEngine(type) {
+        if (WorkerEngine.isSupported()) {
+            return assertEngine(new WorkerEngine(type));
+        }
+        
+        console.warn('[Main] OffscreenCanvas not supported - tracking on the main thread');
+        return createLocalEngine(type);
+    }
+
+    /**
+     * Create and initialize an engine with the current settings
+     */
+    async startEngine(type) {
+        // A canvas once handed to a worker can't be drawn on again
+        const debugCanvas = document.getElementById('debug-canvas');
+        debugCanvas.replaceWith(debugCanvas.cloneNode());
+        
+        const engine = this.createEngine(type);
+        engine.trackingState.addEventListener('change', this.onTrackingStateChange);
+        this.updateTrackingStatus(engine.trackingState.status);
+        await engine.init();
+        
+        if (Object.keys(this.engineSettings).length > 0) {
+            engine.updateSettings(this.engineSettings);
+        }
+        if (this.imageTarget && ENGINE_TYPES[type].imageTargets) {
+            await engine.setImageTarget(this.imageTarget);
+        }
+        if (this.worldScale !== 1) {
+            // The new world frame starts at the measured camera height
+            engine.setWorldScale(this.worldScale);
+        }
+        engine.setDebugVisible(this.uiController?.isDebugVisible ?? false);
+        
+        // Each engine starts at full resolution and adapts to its own cost
+        this.frameScheduler.settings.budget = engine instanceof WorkerEngine
+            ? FRAME_BUDGET.worker
+            : FRAME_BUDGET.mainThread;
+        this.frameScheduler.reset(performance.now());
+        
+        this.engineMonitor.reset(performance.now());
+        return engine;
+    }
+
+    /**
+     * Replace the running engine; the new one starts a new world frame
+     * @param {'orb'|'hybrid'|'lk'} type
+     * @param {string} reason - 'selected', or the EngineMonitor reason for a fallback
+     */
+    async switchEngine(type, reason) {
+        if (type === this.engineType || this.isSwitchingEngine) return;
+        if (this.replay || this.recorder?.isRecording) {
+            throw new Error('Stop recording or replay before switching engines');
+        }
+        
+        this.logDebug(`[Main] Switching engine ${this.engineType} -> ${type} (${reason})`);
+        const previousType = this.engineType;
+        this.isSwitchingEngine = true;
+        this.arEngine?.dispose();
+        
+        try {
+            this.arEngine = await this.startEngine(type);
+            this.engineType = type;
+        } catch (error) {
+            console.error('[Main] Engine switch failed:', error);
+            this.arEngine = null;
+            
+            // Back to the previous engine, which starts a new world frame too
+            try {
+                this.arEngine = await this.startEngine(previousType);
+                this.showEngineInfo(previousType);
+            } catch (restartError) {
+                console.error('[Main] Restarting the previous engine failed:', restartError);
+                this.showLoadingScreen();
+                this.showError('Tracking could not be restarted');
+            }
+            this.sceneManager.resetModel();
+            this.clearScalePoints();
+            this.resetPoseSmoothing();
+            throw error;
+        } finally {
+            this.isSwitchingEngine = false;
+        }
+        
+        this.sceneManager.resetModel();
+        this.clearScalePoints();
+        this.resetPoseSmoothing();
+        this.uiController?.setEngineType(type);
+        this.showEngineInfo(type, reason);
+    }
+
+    /**
+     * Engine chosen by the user in the settings panel; remembered for next time
+     */
+    async selectEngine(type) {
+        if (this.imageTarget && !ENGINE_TYPES[type].imageTargets) {
+            throw new Error(`${ENGINE_TYPES[type].label} can't track an image target - clear the target first`);
+        }
+        
+        saveEngineType(type);
+        this.abandonedEngines.clear();
+        await this.switchEngine(type, 'selected');
+    }
+
+    setAutoFallback(enabled) {
+        this.autoFallback = enabled;
+        this.engineMonitor.reset(performance.now());
+    }
+
+    /**
+     * Fall back to the other engine when the monitor reports the current one
+     * too slow (ORB -> optical flow) or losing track (optical flow -> ORB)
+     */
+    checkEngineFallback(result, cost, now) {
+        if (!this.autoFallback || this.recorder?.isRecording) return;
+        
+        const reason = this.engineMonitor.update(result, cost, now);
+        if (!reason) return;
+        
+        // Judge afresh after another full window, whatever happens next
+        this.engineMonitor.reset(now);
+        
+        const fallback = ENGINE_TYPES[this.engineType].fallback[reason];
+        if (!fallback || this.abandonedEngines.has(fallback)) return;
+        if (this.imageTarget && !ENGINE_TYPES[fallback].imageTargets) return;
+        
+        this.abandonedEngines.add(this.engineType);
+        this.switchEngine(fallback, reason).catch(error => {
+            console.warn('[Main] Engine fallback failed:', error);
+        });
+    }
+
+    /**
+     * Adapt the working resolution and frame skipping to what the engine costs
+     */
+    scheduleFrames(result, cost, now) {
+        // A recording is replayed at a single resolution
+        if (this.recorder?.isRecording) return;
+        
+        const video = document.getElementById('camera-feed');
+        if (!this.frameScheduler.update(result, cost, now, video.videoWidth)) return;
+        
+        const { scale, interval } = this.frameScheduler;
+        this.logDebug(`[Main] Tracking at ${Math.round(scale * 100)}% resolution, every ${interval > 1 ? `${interval} frames` : 'frame'}`);
+        this.arEngine.updateSettings({ processingScale: scale });
+    }
+
+    showEngineInfo(type, reason) {
+        const fallback = {
+            fps: 'auto: low FPS',
+            quality: 'auto: tracking lost',
+            'image-target': 'for image target'
+        }[reason];
+        document.getElementById('engine-info').textContent =
+            ENGINE_TYPES[type].label + (fallback ? ` (${fallback})` : '');
+    }
+
+    updateEngineSettings(settings) {
+        Object.assign(this.engineSettings, settings);
+        
+        // Applied by startEngine() once a switch completes
+        if (!this.isSwitchingEngine) {
+            this.arEngine.updateSettings(settings);
+        }
+    }
+
+    /**
+     * Anchor the world to a printed image (floor plan, site board) where the
+     * ground has too little texture to track
+     * @param {File} file - The image that was printed
+     * @param {{physicalWidth: number, mounting: 'floor'|'wall'}} placement - Printed width in meters
+     */
+    async loadImageTarget(file, placement) {
+        const image = await readTargetImage(file);
+        await this.setImageTarget({ name: file.name, image, ...placement });
+    }
+
+    /**
+     * @param {Object|null} target - See ImageTarget.setTarget(); null returns to markerless tracking
+     */
+    async setImageTarget(target) {
+        if (this.replay || this.recorder?.isRecording || this.isSwitchingEngine) {
+            throw new Error('Stop recording or replay before changing the image target');
+        }
+        
+        const previous = this.imageTarget;
+        this.imageTarget = target;
+        
+        try {
+            if (target && !ENGINE_TYPES[this.engineType].imageTargets) {
+                // Hybrid is the cheapest engine with descriptors to match the printout
+                await this.switchEngine('hybrid', 'image-target');
+                return;
+            }
+            
+            await this.arEngine.setImageTarget(target);
+        } catch (error) {
+            this.imageTarget = previous;
+            throw error;
+        }
+        
+        // The world frame moved to the printout
+        this.sceneManager.resetModel();
+        this.resetPoseSmoothing();
+    }
+
+    /**
+     * Mark one end of a known real-world distance on the tracked ground;
+     * a third tap starts a new measurement
+     * @param {{x: number, y: number}} point - Screen pixels, see CoordinateTransform
+     * @returns {{count: number, distance: number|null}} Points so far, and
+     *   their distance in world units once there are two
+     */
+    addScalePoint(screenPoint) {
+        if (this.imageTarget) {
+            throw new Error('The image target already sets the scale - clear it to measure one');
+        }
+        if (!this.arEngine.isTracking) {
+            throw new Error('Wait until the ground is tracked, then tap again');
+        }
+        
+        const point = this.sceneManager.groundPointAt(screenPoint);
+        if (!point) {
+            throw new Error('Tap a point on the ground');
+        }
+        
+        if (this.scalePoints.length === 2) {
+            this.scalePoints = [];
+        }
+        this.scalePoints.push(point);
+        this.sceneManager.showScaleMarkers(this.scalePoints);
+        
+        return {
+            count: this.scalePoints.length,
+            distance: this.scalePoints.length === 2 ? this.scalePoints[0].distanceTo(this.scalePoints[1]) : null
+        };
+    }
+
+    /**
+     * Make world units meters from the two tapped points
+     * @param {number} distance - Real distance between them in meters
+     * @returns {number} Meters per world unit before the calibration
+     */
+    calibrateScale(distance) {
+        if (this.replay || this.recorder?.isRecording || this.isSwitchingEngine) {
+            throw new Error('Stop recording or replay before calibrating the scale');
+        }
+        if (this.scalePoints.length < 2) {
+            throw new Error('Tap both ends of the distance first');
+        }
+        if (!(distance > 0)) {
+            throw new Error('Enter the real distance, e.g. 2.4 m');
+        }
+        
+        const measured = this.scalePoints[0].distanceTo(this.scalePoints[1]);
+        if (measured < 0.01) {
+            throw new Error('The points are too close together - tap them again');
+        }
+        
+        const factor = distance / measured;
+        this.applyWorldScale(factor);
+        this.isScaleCalibrated = true;
+        this.sceneManager.setTrueScale(true);
+        this.clearScalePoints();
+        
+        console.log(`[Main] Scale calibrated: ${measured.toFixed(3)} units = ${distance} m (x${factor.toFixed(3)})`);
+        return factor;
+    }
+
+    /**
+     * Back to the assumed camera height and ~1 m model previews
+     */
+    resetScaleCalibration() {
+        if (this.replay || this.recorder?.isRecording || this.isSwitchingEngine) {
+            throw new Error('Stop recording or replay before resetting the scale');
+        }
+        
+        this.applyWorldScale(1 / this.worldScale);
+        this.worldScale = 1;
+        this.isScaleCalibrated = false;
+        this.sceneManager.setTrueScale(false);
+        this.clearScalePoints();
+    }
+
+    applyWorldScale(factor) {
+        this.worldScale *= factor;
+        this.arEngine.setWorldScale(factor);
+        this.sceneManager.rescaleWorld(factor);
+        this.resetPoseSmoothing();
+    }
+
+    clearScalePoints() {
+        this.scalePoints = [];
+        this.sceneManager.clearScaleMarkers();
+    }
+
     async initCamera() {
         const video = document.getElementById('camera-feed');
         
@@ -161,28 +515,25 @@ class ARArchitectureApp {
                 fpsUpdateTime = now;
             }
             
-            // Process frame with OpenCV
-            if (video.readyState === video.HAVE_ENOUGH_DATA) {
+            // Process frame with OpenCV (a replay feeds the engine itself)
+            if (this.arEngine && !this.replay && !this.isSwitchingEngine && video.readyState === video.HAVE_ENOUGH_DATA &&
+                this.frameScheduler.shouldProcess()) {
                 try {
+                    const start = performance.now();
                     const trackingResult = this.arEngine.processFrame(video);
+                    const cost = trackingResult.processingTime ?? performance.now() - start;
+                    // Worker results describe a frame captured earlier
+                    const capturedAt = trackingResult.capturedAt ?? start;
                     
                     // Log status periodically
                     if (frameCount === 1 || frameCount % 60 === 0) {
                         console.log('[Main] Frame', frameCount, 'Features:', trackingResult.featureCount, 'Tracking:', trackingResult.isTracking);
                     }
                     
-                    // Update UI based on tracking status
-                    this.updateTrackingStatus(trackingResult);
-                    
-                    // Update 3D scene
-                    if (trackingResult.isTracking && this.currentModel) {
-                        this.sceneManager.updateModelPose(trackingResult.pose);
-                    }
-                    
-                    // Update debug info
-                    if (this.uiController?.isDebugVisible) {
-                        this.updateDebugInfo(trackingResult);
-                    }
+                    this.recorder?.recordFrame(this.arEngine.imuData, trackingResult, capturedAt);
+                    this.handleTrackingResult(trackingResult, now);
+                    this.scheduleFrames(trackingResult, cost, now);
+                    this.checkEngineFallback(trackingResult, cost, now);
                 } catch (error) {
                     console.warn('Frame processing error:', error);
                 }
@@ -198,32 +549,147 @@ class ARArchitectureApp {
         requestAnimationFrame(loop);
     }
 
-    updateTrackingStatus(result) {
+    handleTrackingResult(trackingResult, now) {
+        // The worker hands out its latest result on every animation frame until the
+        // next arrives; smoothing it again would count it as a pose that stood still
+        const isNewResult = trackingResult !== this.lastResult;
+        this.lastResult = trackingResult;
+        
+        // A relocalized pose jumps on purpose - don't smooth across it
+        if (isNewResult && trackingResult.relocalized) {
+            this.poseSmoother.reset();
+        }
+        
+        // Update 3D scene: camera follows the tracked pose, models stay world-locked
+        if (trackingResult.isTracking) {
+            if (isNewResult) {
+                this.smoothedPose = this.poseSmoother.filter(trackingResult.pose, trackingResult.capturedAt ?? now);
+            }
+            const pose = this.smoothedPose ?? trackingResult.pose;
+            this.sceneManager.updateCameraPose(pose);
+            
+            // Models sit on the measured ground; optical flow alone assumes it level
+            this.sceneManager.updateGround(trackingResult.ground ?? null);
+            
+            if (this.currentModel) {
+                this.sceneManager.updateModelPose(pose);
+            }
+            
+            this.surfaces = {
+                floors: (trackingResult.planes ?? []).filter(plane => plane.orientation === 'horizontal'),
+                frame: trackingResult.pose.intrinsics ?? this.coordinates.videoSize
+            };
+        } else {
+            this.surfaces = null;
+        }
+        
+        // Virtual lights follow the real ones, tracked or not
+        this.sceneManager.updateLighting(trackingResult.lighting);
+        
+        // Update debug info
+        if (this.uiController?.isDebugVisible) {
+            this.updateDebugInfo(trackingResult);
+        }
+    }
+
+    handleTrackingStateChange({ state, reason, previous }) {
+        this.logDebug(`[Main] Tracking state ${previous} -> ${state}${reason ? ` (${reason})` : ''}`);
+        this.updateTrackingStatus({ state, reason });
+        
+        // Placed model has no valid anchor until the engine finds the world again
+        this.sceneManager?.setTrackingLost(state === 'lost');
+    }
+
+    /**
+     * @param {{state: string, reason: string|null}} status - See TrackingState.js
+     */
+    updateTrackingStatus({ state, reason }) {
         const indicator = document.getElementById('status-indicator');
         const text = document.getElementById('status-text');
         const placeBtn = document.getElementById('btn-place');
         
-        indicator.className = '';
-        
-        if (result.isTracking) {
-            indicator.classList.add('status-tracking');
-            const confidence = result.pose?.confidence ? ` (${(result.pose.confidence * 100).toFixed(0)}%)` : '';
-            text.textContent = 'Surface detected' + confidence;
-            placeBtn.disabled = false;
-        } else if (result.hasFeatures) {
-            indicator.classList.add('status-searching');
-            text.textContent = `Searching... (${result.featureCount} features)`;
-            placeBtn.disabled = true;
-        } else {
-            indicator.classList.add('status-lost');
-            text.textContent = 'Point at a textured surface';
-            placeBtn.disabled = true;
+        const limitedHints = {
+            'fast-motion': 'move more slowly',
+            'few-features': 'aim at more texture',
+            'low-confidence': 'keep scanning the surface'
+        };
+        
+        const [indicatorClass, message] = {
+            initializing: ['status-searching', 'Starting tracking...'],
+            searching: {
+                'few-features': ['status-searching', 'Point at a textured surface'],
+                'image-target': ['status-searching', 'Point at the image target']
+            }[reason] ?? ['status-searching', 'Searching for surface...'],
+            tracking: ['status-tracking', 'Surface detected'],
+            limited: ['status-limited', `Limited tracking - ${limitedHints[reason]}`],
+            lost: ['status-lost', 'Tracking lost - point back at the model area']
+        }[state];
+        
+        indicator.className = indicatorClass;
+        text.textContent = message;
+        
+        // A limited pose is still good enough to place on; the hint says how to improve it
+        placeBtn.disabled = state !== 'tracking' && state !== 'limited';
+    }
+
+    /**
+     * console.log while the debug overlay is on; keeps routine events out of the console
+     */
+    logDebug(...args) {
+        if (this.uiController?.isDebugVisible) {
+            console.log(...args);
         }
     }
 
     updateDebugInfo(result) {
         document.getElementById('feature-count').textContent = result.featureCount || 0;
-        document.getElementById('plane-count').textContent = result.planeCount || 0;
+        
+        const planes = result.planes || [];
+        const walls = planes.filter(plane => plane.orientation === 'vertical').length;
+        const floors = planes.filter(plane => plane.orientation === 'horizontal').length;
+        document.getElementById('plane-count').textContent = planes.length > 0
+            ? `${planes.length} (${floors} floor, ${walls} wall)`
+            : result.planeCount || 0;
+        
+        if (result.landmarkCount !== undefined) {
+            document.getElementById('map-info').textContent =
+                `${result.landmarkCount} pts / ${result.keyframeCount} kf`;
+        }
+        
+        const scheduler = this.frameScheduler;
+        const skipping = scheduler.interval > 1 ? `, 1 in ${scheduler.interval} frames` : '';
+        document.getElementById('budget-info').textContent =
+            `${scheduler.averageCost?.toFixed(0) ?? '-'} / ${scheduler.settings.budget} ms${skipping}`;
+        
+        if (result.workingSize) {
+            document.getElementById('resolution-info').textContent =
+                `${result.workingSize.width}×${result.workingSize.height} (${Math.round(scheduler.scale * 100)}%)`;
+        }
+        
+        const target = result.imageTarget;
+        document.getElementById('target-info').textContent = target
+            ? `${target.name}: ${target.visible ? 'in view' : 'not in view'}`
+            : '-';
+        
+        if (result.lighting) {
+            const { colorTemperature, brightness, directionality } = result.lighting;
+            document.getElementById('light-info').textContent =
+                `${Math.round(colorTemperature / 100) * 100} K, ${Math.round(brightness * 100)}% lum, ` +
+                `${directionality > 0.2 ? 'directional' : 'diffuse'}`;
+        }
+        
+        if (result.ground) {
+            const { height, slope, measured } = result.ground;
+            document.getElementById('ground-info').textContent = measured
+                ? `${height.toFixed(2)} m below, ${slope.toFixed(1)}° slope`
+                : 'assumed level';
+        }
+        
+        // OpenCV objects on the engine's heap; a live count that keeps climbing is a leak
+        if (result.memory) {
+            document.getElementById('mat-info').textContent =
+                `${result.memory.live} live / ${result.memory.peak} peak`;
+        }
         
         if (result.pose) {
             const { x, y, z } = result.pose.position;
@@ -267,23 +733,281 @@ class ARArchitectureApp {
     }
 
     placeModel() {
-        console.log('[Main] placeModel called');
-        console.log('[Main] currentModel:', !!this.currentModel);
-        console.log('[Main] currentPose:', this.arEngine.currentPose);
+        if (this.currentModel && this.arEngine.currentPose && this.imageTarget) {
+            // The printout is the world origin; the model goes on it, aligned with its edges
+            return this.sceneManager.addInstance(0, 0);
+        }
         
         if (this.currentModel && this.arEngine.currentPose) {
-            const result = this.sceneManager.placeModel(this.arEngine.currentPose);
-            console.log('[Main] placeModel result:', result);
-            return result;
+            return this.sceneManager.placeModel(this.arEngine.currentPose);
         }
         
         console.warn('[Main] Cannot place - missing model or pose');
         return false;
     }
 
+    /**
+     * Ground point under a screen position, and whether the model may go there:
+     * on the floor the engine tracks, not on a wall or untracked ground
+     * @param {{x: number, y: number}} screenPoint - See CoordinateTransform
+     * @returns {{point: THREE.Vector3|null, error: string|null}} point is null
+     *   when the ray misses the ground, error says why the model can't go there
+     */
+    surfacePointAt(screenPoint) {
+        if (!this.currentModel) {
+            return { point: null, error: 'Choose a model first' };
+        }
+        if (!this.surfaces) {
+            return { point: null, error: 'Wait until the ground is tracked, then tap again' };
+        }
+        
+        const point = this.sceneManager.groundPointAt(screenPoint);
+        if (!point) {
+            return { point: null, error: 'Tap a point on the ground' };
+        }
+        
+        // An image target is the ground, however little texture around it
+        if (this.imageTarget) {
+            return { point, error: null };
+        }
+        
+        const { floors, frame } = this.surfaces;
+        const pixel = this.coordinates.screenToVideo(screenPoint, frame);
+        const margin = SURFACE_MARGIN * frame.width;
+        const onFloor = floors.some(plane => hullContains(plane.outline ?? [], pixel, margin));
+        
+        return { point, error: onFloor ? null : 'Tap on the detected surface' };
+    }
+
+    /**
+     * Show where a tap at this screen position would place the model;
+     * nothing while it is on a placed instance, which the tap selects
+     * @param {{x: number, y: number}|null} screenPoint - null hides the preview
+     */
+    previewPlacement(screenPoint) {
+        if (!screenPoint || this.sceneManager.instanceAt(screenPoint)) {
+            this.sceneManager.showGhost(null);
+            return;
+        }
+        
+        const { point, error } = this.surfacePointAt(screenPoint);
+        this.sceneManager.showGhost(point, !error);
+    }
+
+    /**
+     * Act on a tap on the scene: a placed instance is selected (or unselected
+     * if it already was), a tap on the detected floor moves the selected
+     * instance there or, with none selected, places a new one
+     * @param {{x: number, y: number}} screenPoint - See CoordinateTransform
+     * @returns {'selected'|'unselected'|'moved'|'placed'}
+     */
+    tapScene(screenPoint) {
+        this.sceneManager.showGhost(null);
+        
+        const instance = this.sceneManager.instanceAt(screenPoint);
+        if (instance) {
+            const unselect = instance === this.sceneManager.selected;
+            this.sceneManager.select(unselect ? null : instance);
+            return unselect ? 'unselected' : 'selected';
+        }
+        
+        const { point, error } = this.surfacePointAt(screenPoint);
+        if (error) {
+            throw new Error(error);
+        }
+        
+        const { selected } = this.sceneManager;
+        if (selected) {
+            this.sceneManager.moveInstance(selected, point.x, point.z);
+            return 'moved';
+        }
+        
+        this.sceneManager.addInstance(point.x, point.z);
+        return 'placed';
+    }
+
+    /**
+     * Pick up a placed instance to slide it along the ground
+     * @param {{x: number, y: number}} screenPoint - Where the finger grabbed it
+     */
+    liftInstance(instance, screenPoint) {
+        this.sceneManager.showGhost(null);
+        this.sceneManager.select(instance);
+        this.sceneManager.setLifted(instance, true);
+        
+        // Keep the point under the finger where it is, rather than jumping the instance to it
+        const grabbed = this.sceneManager.groundPointAt(screenPoint);
+        this.drag = {
+            instance,
+            offsetX: grabbed ? instance.position.x - grabbed.x : 0,
+            offsetZ: grabbed ? instance.position.z - grabbed.z : 0
+        };
+    }
+
+    dragInstance(screenPoint) {
+        if (!this.drag) return;
+        
+        // Past the horizon the ray misses the ground; the instance waits at the last point
+        const point = this.sceneManager.groundPointAt(screenPoint);
+        if (point) {
+            const { instance, offsetX, offsetZ } = this.drag;
+            this.sceneManager.moveInstance(instance, point.x + offsetX, point.z + offsetZ);
+        }
+    }
+
+    dropInstance() {
+        if (!this.drag) return;
+        
+        this.sceneManager.setLifted(this.drag.instance, false);
+        this.drag = null;
+    }
+
+    /**
+     * Bring an instance to the ground in the middle of the view: the one
+     * double-tapped, else the selected one, else the only one placed
+     * @param {{x: number, y: number}} screenPoint - See CoordinateTransform
+     */
+    recenterModel(screenPoint) {
+        const { instances, selected } = this.sceneManager;
+        const instance = this.sceneManager.instanceAt(screenPoint) ??
+            selected ?? (instances.length === 1 ? instances[0] : null);
+        if (!instance) {
+            throw new Error(instances.length > 0 ? 'Tap a model to choose which one' : 'Place a model first');
+        }
+        
+        const { width, height } = this.coordinates.viewSize;
+        const point = this.sceneManager.groundPointAt({ x: width / 2, y: height / 2 });
+        if (!point) {
+            throw new Error('Aim the camera at the ground, then double-tap again');
+        }
+        
+        this.sceneManager.select(instance);
+        this.sceneManager.moveInstance(instance, point.x, point.z);
+    }
+
+    duplicateSelected() {
+        const { selected } = this.sceneManager;
+        return selected ? this.sceneManager.duplicateInstance(selected) : null;
+    }
+
+    deleteSelected() {
+        const { selected } = this.sceneManager;
+        if (selected) {
+            this.sceneManager.removeInstance(selected);
+        }
+    }
+
+    /**
+     * Start smoothing afresh from the next tracking result, even a repeated one
+     */
+    resetPoseSmoothing() {
+        this.poseSmoother.reset();
+        this.lastResult = null;
+        this.smoothedPose = null;
+    }
+
     resetModel() {
         this.sceneManager.resetModel();
+        this.clearScalePoints();
         this.arEngine.reset();
+        this.resetPoseSmoothing();
+    }
+
+    startRecording() {
+        const video = document.getElementById('camera-feed');
+        this.recorder = new SessionRecorder(video);
+        this.recorder.start({
+            engineType: this.engineType,
+            settings: { ...this.arEngine.settings },
+            calibration: this.getCalibration()
+        });
+    }
+
+    async stopRecording() {
+        const session = await this.recorder.stop();
+        this.recorder = null;
+        downloadSession(session);
+        return session;
+    }
+
+    /**
+     * Run a recorded session through the engine in place of the live camera
+     * @param {File[]} files - The recorded video and its .json log
+     * @param {Function} [onProgress] - Called with (frame, frameCount)
+     * @returns {Promise<Object>} Comparison with the recorded results
+     */
+    async replaySession(files, onProgress) {
+        const logFile = files.find(file => file.name.endsWith('.json'));
+        const videoFile = files.find(file => file !== logFile);
+        
+        if (!logFile || !videoFile) {
+            throw new Error('Select both the recorded video and its .json log');
+        }
+        if (this.recorder?.isRecording) {
+            throw new Error('Stop recording before replaying');
+        }
+        if (this.isSwitchingEngine) {
+            throw new Error('Wait for the engine switch to finish');
+        }
+        
+        const video = document.getElementById('camera-feed');
+        const replay = new SessionReplay(video);
+        await replay.load(videoFile, logFile);
+        
+        // Start from a blank engine so the replay is deterministic
+        this.replay = replay;
+        this.sceneManager.resetModel();
+        this.arEngine.reset({ forget: true });
+        this.resetPoseSmoothing();
+        
+        // Track at the resolution the session was recorded at
+        this.arEngine.updateSettings({ processingScale: replay.log.settings?.processingScale ?? 1 });
+        
+        try {
+            await replay.start();
+            
+            let frame;
+            while (this.replay === replay && (frame = await replay.nextFrame())) {
+                Object.assign(this.arEngine.imuData, frame.imu);
+                frame.motion.forEach(sample => this.arEngine.addMotionSample(sample));
+                
+                const result = this.arEngine.processFrameAsync
+                    ? await this.arEngine.processFrameAsync(video)
+                    : this.arEngine.processFrame(video);
+                
+                replay.compare(frame, result);
+                this.handleTrackingResult(result, performance.now());
+                onProgress?.(replay.index, replay.frameCount);
+            }
+        } finally {
+            await replay.stop();
+            this.replay = null;
+            this.arEngine.reset({ forget: true });
+            this.arEngine.updateSettings({ processingScale: this.frameScheduler.scale });
+        }
+        
+        return replay.stats;
+    }
+
+    stopReplay() {
+        this.replay = null;
+    }
+
+    /**
+     * Take the direction the camera looks now as true north for the shadow study
+     */
+    setNorthFromCamera() {
+        if (!this.arEngine.isTracking) {
+            throw new Error('Wait until the ground is tracked, then point the camera north again');
+        }
+        
+        const northOffset = Math.round(360 - this.sceneManager.cameraHeading) % 360;
+        this.shadowStudy.update({ northOffset });
+        return northOffset;
+    }
+
+    setPoseSmoothing(settings) {
+        this.poseSmoother.updateSettings(settings);
     }
 
     setModelScale(scale) {
@@ -294,6 +1018,51 @@ class ARArchitectureApp {
         this.sceneManager.setModelRotation(degrees);
     }
 
+    getCalibration() {
+        const video = document.getElementById('camera-feed');
+        return loadCalibration(video.videoWidth, video.videoHeight);
+    }
+
+    captureCalibrationView(settings) {
+        if (!this.calibrator) {
+            this.calibrator = new CameraCalibrator();
+        }
+        
+        // Changing the board invalidates earlier views
+        const current = this.calibrator.settings;
+        if (settings.cols !== current.cols || settings.rows !== current.rows ||
+            settings.squareSize !== current.squareSize) {
+            this.calibrator.updateSettings(settings);
+        }
+        
+        const video = document.getElementById('camera-feed');
+        const found = this.calibrator.captureView(video);
+        
+        return {
+            found,
+            viewCount: this.calibrator.viewCount,
+            minViews: this.calibrator.settings.minViews,
+            canCalibrate: this.calibrator.canCalibrate
+        };
+    }
+
+    runCalibration() {
+        const calibration = this.calibrator.calibrate();
+        saveCalibration(calibration.width, calibration.height, calibration);
+        this.calibrator.reset();
+        
+        this.arEngine.reloadCalibration();
+        this.logDebug('[Main] Camera calibrated:', calibration);
+        return calibration;
+    }
+
+    resetCalibration() {
+        const video = document.getElementById('camera-feed');
+        clearCalibration(video.videoWidth, video.videoHeight);
+        this.calibrator?.reset();
+        this.arEngine.reloadCalibration();
+    }
+
     updateLoadingStatus(message, progress) {
         const statusEl = document.getElementById('loading-status');
         const progressEl = document.getElementById('progress-fill');